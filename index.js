@@ -10,6 +10,10 @@ const allRules = {
   'split-platform-components': require('./lib/rules/split-platform-components'),
   'no-raw-text': require('./lib/rules/no-raw-text'),
   'no-single-element-style-arrays': require('./lib/rules/no-single-element-style-arrays'),
+  'no-invalid-style-props': require('./lib/rules/no-invalid-style-props'),
+  'no-ignored-style-props': require('./lib/rules/no-ignored-style-props'),
+  'no-redundant-styles': require('./lib/rules/no-redundant-styles'),
+  'consistent-platform-files': require('./lib/rules/consistent-platform-files'),
 };
 
 function configureAsError(rules) {
@@ -23,9 +27,65 @@ function configureAsError(rules) {
   return result;
 }
 
+/**
+ * Raises the severity of a rule configuration entry to error, keeping its
+ * options.
+ *
+ * @param {string|number|Array} ruleConfig - A rule configuration entry.
+ * @returns {string|Array} The same entry with an `error` severity.
+ */
+function asError(ruleConfig) {
+  return Array.isArray(ruleConfig)
+    ? ['error'].concat(ruleConfig.slice(1))
+    : 'error';
+}
+
+/**
+ * Builds the recommended rules configuration from the `meta.docs.recommended`
+ * flag of each rule. The flag is either `false` or the configuration entry of
+ * the rule (a severity, or an array of a severity followed by options).
+ *
+ * @param {object} rules - The rules keyed by name.
+ * @returns {object} The rules configuration.
+ */
+function configureRecommended(rules) {
+  const result = {};
+  Object.keys(rules).forEach((key) => {
+    const { docs } = rules[key].meta;
+    if (docs && docs.recommended) {
+      result['react-native/' + key] = docs.recommended === true ? 'error' : docs.recommended;
+    }
+  });
+  return result;
+}
+
+/**
+ * Builds the strict rules configuration: every recommended rule raised to
+ * error, along with the rules flagged with `meta.docs.strict`.
+ *
+ * @param {object} rules - The rules keyed by name.
+ * @returns {object} The rules configuration.
+ */
+function configureStrict(rules) {
+  const result = {};
+  Object.keys(rules).forEach((key) => {
+    const { docs } = rules[key].meta;
+    if (docs && docs.recommended) {
+      result['react-native/' + key] = asError(docs.recommended);
+    } else if (docs && docs.strict) {
+      result['react-native/' + key] = 'error';
+    }
+  });
+  return result;
+}
+
 const allRulesConfig = configureAsError(allRules);
+const recommendedRulesConfig = configureRecommended(allRules);
+const strictRulesConfig = configureStrict(allRules);
+
+const { globals } = require('eslint-plugin-react-native-globals').environments.all;
 
-module.exports = {
+const plugin = {
   deprecatedRules: {},
   rules: allRules,
   rulesConfig: {
@@ -35,11 +95,15 @@ module.exports = {
     'sort-styles': 0,
     'split-platform-components': 0,
     'no-raw-text': 0,
-    'no-single-element-style-arrays': 0
+    'no-single-element-style-arrays': 0,
+    'no-invalid-style-props': 0,
+    'no-ignored-style-props': 0,
+    'no-redundant-styles': 0,
+    'consistent-platform-files': 0
   },
   environments: {
     'react-native': {
-      globals: require('eslint-plugin-react-native-globals').environments.all.globals,
+      globals: globals,
     },
   },
   configs: {
@@ -54,5 +118,58 @@ module.exports = {
       },
       rules: allRulesConfig,
     },
+    recommended: {
+      plugins: [
+        'react-native',
+      ],
+      parserOptions: {
+        ecmaFeatures: {
+          jsx: true,
+        },
+      },
+      rules: recommendedRulesConfig,
+    },
+    strict: {
+      plugins: [
+        'react-native',
+      ],
+      parserOptions: {
+        ecmaFeatures: {
+          jsx: true,
+        },
+      },
+      rules: strictRulesConfig,
+    },
   },
 };
+
+/**
+ * Builds a flat config (eslint.config.js) object. Flat configs reference the
+ * plugin object itself instead of its name, and carry globals and parser
+ * options under `languageOptions`.
+ *
+ * @param {object} rules - The rules configuration of the config.
+ * @returns {object} The flat config.
+ */
+function createFlatConfig(rules) {
+  return {
+    plugins: {
+      'react-native': plugin,
+    },
+    languageOptions: {
+      globals: globals,
+      parserOptions: {
+        ecmaFeatures: {
+          jsx: true,
+        },
+      },
+    },
+    rules: rules,
+  };
+}
+
+plugin.configs['flat/all'] = createFlatConfig(allRulesConfig);
+plugin.configs['flat/recommended'] = createFlatConfig(recommendedRulesConfig);
+plugin.configs['flat/strict'] = createFlatConfig(strictRulesConfig);
+
+module.exports = plugin;
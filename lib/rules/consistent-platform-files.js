@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Detects platform specific files missing a variant for another
+ * platform, or exporting other names than their variants.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const nodePath = require('path');
+const eslintUtil = require('../util/eslint');
+const platformComponents = require('../util/platformComponents');
+const exportedNames = require('../util/exportedNames');
+
+const DEFAULT_REQUIRED = ['ios', 'android'];
+const SOURCE_EXTENSION = /\.[jt]sx?$/;
+
+function create(context) {
+  const options = context.options[0] || {};
+  const platformsOptions = platformComponents.getPlatformsOptions(options);
+  const required = options.required || DEFAULT_REQUIRED;
+  const filename = eslintUtil.getFilename(context);
+
+  // The platform of a file, and the path of the file without its platform
+  // suffix, e.g. `Foo` for `Foo.ios.tsx`
+  function getFilePlatform(path) {
+    const platforms = Object.keys(platformsOptions);
+
+    for (let index = 0; index < platforms.length; index += 1) {
+      const { pathRegex } = platformsOptions[platforms[index]];
+      const match = pathRegex && new RegExp(pathRegex).exec(path);
+
+      if (match) {
+        return { platform: platforms[index], base: path.slice(0, match.index) };
+      }
+    }
+
+    return null;
+  }
+
+  if (!nodePath.isAbsolute(filename)) {
+    return {};
+  }
+
+  const file = getFilePlatform(filename);
+  if (!file) {
+    return {};
+  }
+
+  const directory = nodePath.dirname(filename);
+  const name = nodePath.basename(file.base);
+  const extension = nodePath.extname(filename);
+  const variants = {};
+  const fallbacks = [];
+
+  let entries;
+  try {
+    entries = fs.readdirSync(directory);
+  } catch (err) {
+    return {};
+  }
+
+  entries.forEach((entry) => {
+    const path = nodePath.join(directory, entry);
+    const variant = path !== filename && getFilePlatform(path);
+
+    if (variant && variant.base === file.base) {
+      variants[variant.platform] = (variants[variant.platform] || []).concat(path);
+    } else if (
+      SOURCE_EXTENSION.test(entry)
+      && entry.slice(0, -nodePath.extname(entry).length) === name
+    ) {
+      fallbacks.push(path);
+    }
+  });
+
+  function isCovered(platform) {
+    return (file.platform === 'native' && platform !== 'web')
+      || Boolean(variants[platform])
+      || (platform !== 'web' && Boolean(variants.native))
+      || fallbacks.length > 0;
+  }
+
+  function checkVariants(node) {
+    required
+      .filter((platform) => platform !== file.platform && !isCovered(platform))
+      .forEach((platform) => {
+        context.report({
+          node,
+          loc: { line: 1, column: 0 },
+          message: '{{file}} has no {{platform}} variant, add {{variant}} or a {{fallback}} fallback',
+          data: {
+            file: nodePath.basename(filename),
+            platform,
+            variant: `${name}.${platform}${extension}`,
+            fallback: `${name}${extension}`,
+          },
+        });
+      });
+  }
+
+  function checkExports(node) {
+    const exported = exportedNames.getExportedNames(node);
+    if (!exported) {
+      return;
+    }
+
+    const names = exported.map((item) => item.name);
+    const siblings = Object.keys(variants)
+      .reduce((paths, platform) => paths.concat(variants[platform]), [])
+      .concat(fallbacks)
+      .sort();
+
+    siblings.forEach((path) => {
+      const siblingNames = exportedNames.getFileExportedNames(path, context);
+      const sibling = nodePath.basename(path);
+
+      if (!siblingNames) {
+        return;
+      }
+
+      exported
+        .filter((item) => !siblingNames.includes(item.name))
+        .forEach((item) => {
+          context.report({
+            node: item.node,
+            message: '{{name}} is not exported by {{sibling}}',
+            data: { name: item.name, sibling },
+          });
+        });
+
+      siblingNames
+        .filter((siblingName) => !names.includes(siblingName))
+        .forEach((siblingName) => {
+          context.report({
+            node,
+            loc: { line: 1, column: 0 },
+            message: '{{name}} is exported by {{sibling}} but not by this file',
+            data: { name: siblingName, sibling },
+          });
+        });
+    });
+  }
+
+  return {
+    'Program:exit': (node) => {
+      checkVariants(node);
+      if (options.checkExports !== false) {
+        checkExports(node);
+      }
+    },
+  };
+}
+
+module.exports = {
+  meta: {
+    docs: {
+      description: 'Enforce that platform specific files have a variant for each platform exporting the same names',
+      category: 'Possible Errors',
+      recommended: false,
+      url: '',
+    },
+    schema: [{
+      type: 'object',
+      properties: {
+        platforms: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            properties: {
+              pathRegex: {
+                type: 'string',
+              },
+            },
+            additionalProperties: false,
+          },
+        },
+        androidPathRegex: {
+          type: 'string',
+        },
+        iosPathRegex: {
+          type: 'string',
+        },
+        required: {
+          type: 'array',
+          items: {
+            type: 'string',
+          },
+          uniqueItems: true,
+        },
+        checkExports: {
+          type: 'boolean',
+        },
+      },
+      additionalProperties: false,
+    }],
+  },
+  create,
+};
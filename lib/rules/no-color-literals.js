@@ -5,40 +5,252 @@
 
 'use strict';
 
+const fs = require('fs');
+const path = require('path');
 const util = require('util');
 const Components = require('../util/Components');
+const eslintUtil = require('../util/eslint');
 const styleSheet = require('../util/stylesheet');
+const colors = require('../util/colors');
+const fixers = require('../util/fixers');
 
 const { StyleSheets } = styleSheet;
 const { astHelpers } = styleSheet;
 
+// The JSX properties of React Native and common libraries taking colors
+const DEFAULT_COLOR_PROPS = [
+  'color',
+  'colors',
+  'backgroundColor',
+  'tintColor',
+  'onTintColor',
+  'thumbTintColor',
+  'thumbColor',
+  'trackColor',
+  'minimumTrackTintColor',
+  'maximumTrackTintColor',
+  'placeholderTextColor',
+  'selectionColor',
+  'cursorColor',
+  'underlineColorAndroid',
+  'progressBackgroundColor',
+  'barTintColor',
+];
+
+const palettes = new Map();
+
+// The palettes are kept for the lifetime of the process, e.g. an editor
+// integration, and loaded again when the palette file changes. The modules it
+// requires itself aren't reloaded.
+function loadPalette(palette) {
+  const palettePath = require.resolve(path.resolve(process.cwd(), palette.path));
+  const name = palette.name || 'colors';
+  const cacheKey = `${palettePath}\0${name}`;
+  const { mtimeMs } = fs.statSync(palettePath);
+  const cached = palettes.get(cacheKey);
+
+  if (cached && cached.mtime === mtimeMs) {
+    return cached.tokens;
+  }
+
+  delete require.cache[palettePath];
+  // eslint-disable-next-line global-require, import/no-dynamic-require
+  const module = require(palettePath);
+  const tokens = colors.flattenPalette(module.default || module, name);
+
+  palettes.set(cacheKey, { mtime: mtimeMs, tokens });
+  return tokens;
+}
+
+function getStaticValue(node) {
+  if (node.type === 'TemplateLiteral') {
+    return node.expressions.length ? undefined : node.quasis[0].value.cooked;
+  }
+
+  return node.value;
+}
+
+function getRootIdentifier(node) {
+  if (node.type === 'Identifier') {
+    return node;
+  }
+  if (node.type === 'MemberExpression') {
+    return getRootIdentifier(node.object);
+  }
+}
+
 const create = Components.detect((context) => {
   const styleSheets = new StyleSheets();
+  const options = context.options[0] || {};
+  const allowedLiterals = (options.allow || []).map((value) => value.toLowerCase());
+  const allowedModules = options.allowedModules || [];
+  const colorProps = DEFAULT_COLOR_PROPS.concat(options.colorProps || []);
+  let palette = null;
+  let paletteError = null;
+
+  if (options.palette) {
+    try {
+      palette = loadPalette(options.palette);
+    } catch (err) {
+      paletteError = err;
+    }
+  }
+
+  function isAllowedLiteral(node) {
+    const value = getStaticValue(node);
+
+    return typeof value === 'string'
+      && allowedLiterals.includes(value.toLowerCase());
+  }
+
+  function isColorProp(node) {
+    return node.name.type === 'JSXIdentifier' && colorProps.includes(node.name.name);
+  }
+
+  function getPaletteToken(node) {
+    const value = getStaticValue(node);
+
+    return typeof value === 'string' ? palette.get(colors.normalizeColor(value)) : undefined;
+  }
+
+  // The palette can be used where its root identifier, e.g. `colors` or the
+  // `theme` of `theme.palette`, is in scope. Otherwise it is imported from
+  // `palette.module`, and without it there is nothing to suggest.
+  function getPaletteFix(node, token) {
+    const sourceCode = eslintUtil.getSourceCode(context);
+    const name = /^[^.[]+/.exec(options.palette.name || 'colors')[0];
+    const isInScope = Boolean(
+      astHelpers.findVariable(astHelpers.getNodeScope(sourceCode, node), name)
+    );
+
+    return (fixer) => {
+      const replaceFix = fixer.replaceText(
+        node,
+        node.parent.type === 'JSXAttribute' ? `{${token}}` : token
+      );
+
+      if (isInScope) {
+        return replaceFix;
+      }
+
+      const importFix = options.palette.module
+        && fixers.insertNamedImport(fixer, sourceCode, options.palette.module, name);
+
+      return importFix ? [replaceFix, importFix] : null;
+    };
+  }
+
+  function getPaletteSuggestions(literals) {
+    if (!palette) {
+      return [];
+    }
+
+    return literals
+      .filter((node) => getPaletteToken(node))
+      .map((node) => {
+        const token = getPaletteToken(node);
+
+        return {
+          desc: 'Replace {{literal}} with {{token}}',
+          data: { literal: eslintUtil.getSourceCode(context).getText(node), token },
+          fix: getPaletteFix(node, token),
+        };
+      });
+  }
 
   function reportColorLiterals(colorLiterals) {
     if (colorLiterals) {
       colorLiterals.forEach((style) => {
         if (style) {
-          const expression = util.inspect(style.expression);
+          const reported = Object.keys(style.expression)
+            .filter((key) => !style.literals[key].every(isAllowedLiteral));
+
+          if (!reported.length) {
+            return;
+          }
+
+          const expression = util.inspect(reported.reduce((result, key) => Object.assign(result, {
+            [key]: style.expression[key],
+          }), {}), { breakLength: Infinity });
+          const literals = reported.reduce((result, key) => result.concat(style.literals[key]), []);
+
           context.report({
             node: style.node,
             message: 'Color literal: {{expression}}',
             data: { expression },
+            suggest: getPaletteSuggestions(literals),
           });
         }
       });
     }
   }
 
+  function isFromAllowedModule(variable) {
+    return variable.defs.some((def) => {
+      if (def.type !== 'ImportBinding') {
+        return false;
+      }
+      const source = def.parent.source.value;
+      return allowedModules.some((moduleName) => (
+        source === moduleName || source.startsWith(moduleName + '/')
+      ));
+    });
+  }
+
+  function checkColorReferences(colorLiterals) {
+    if (!allowedModules.length) {
+      return;
+    }
+
+    colorLiterals.forEach((style) => {
+      if (!style) {
+        return;
+      }
+
+      style.references.forEach((node) => {
+        const identifier = getRootIdentifier(node);
+        const variable = identifier
+          && astHelpers.findVariable(eslintUtil.getScope(context, node), identifier.name);
+
+        // Parameters, like props or a theme passed to a style factory, are left alone
+        if (
+          !variable
+          || !variable.defs.some((def) => def.type === 'Variable' || def.type === 'ImportBinding')
+          || isFromAllowedModule(variable)
+        ) {
+          return;
+        }
+
+        context.report({
+          node,
+          message: 'Color {{color}} should come from {{modules}}',
+          data: {
+            color: eslintUtil.getSourceCode(context).getText(node),
+            modules: allowedModules.join(', '),
+          },
+        });
+      });
+    });
+  }
+
+  function addColorLiterals(literals) {
+    styleSheets.addColorLiterals(literals);
+    checkColorReferences(literals);
+  }
+
   return {
     CallExpression: (node) => {
+      if (astHelpers.isProcessColorCall(node)) {
+        addColorLiterals([astHelpers.getColorLiteralsFromProcessColor(node, context)]);
+      }
+
       if (astHelpers.isStyleSheetDeclaration(node, context.settings)) {
-        const styles = astHelpers.getStyleDeclarations(node);
+        const styles = astHelpers.getStyleDeclarations(node, context.settings);
 
         if (styles) {
           styles.forEach((style) => {
             const literals = astHelpers.collectColorLiterals(style.value, context);
-            styleSheets.addColorLiterals(literals);
+            addColorLiterals(literals);
           });
         }
       }
@@ -47,17 +259,78 @@ const create = Components.detect((context) => {
     JSXAttribute: (node) => {
       if (astHelpers.isStyleAttribute(node)) {
         const literals = astHelpers.collectColorLiterals(node.value, context);
-        styleSheets.addColorLiterals(literals);
+        addColorLiterals(literals);
+      } else if (isColorProp(node)) {
+        addColorLiterals([astHelpers.getColorLiteralsFromAttribute(node, context)]);
       }
     },
 
-    'Program:exit': () => reportColorLiterals(styleSheets.getColorLiterals()),
+    'Program:exit': (node) => {
+      if (paletteError) {
+        context.report({
+          node,
+          message: 'Unable to load the color palette {{path}}: {{error}}',
+          data: { path: options.palette.path, error: paletteError.message },
+        });
+      }
+
+      reportColorLiterals(styleSheets.getColorLiterals());
+    },
   };
 });
 
 module.exports = {
   meta: {
-    schema: [],
+    docs: {
+      description: 'Detect `StyleSheet` rules and inline styles containing color literals instead of variables',
+      category: 'Stylistic Issues',
+      recommended: false,
+      strict: true,
+      url: '',
+    },
+    hasSuggestions: true,
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          allow: {
+            type: 'array',
+            items: {
+              type: 'string',
+            },
+          },
+          allowedModules: {
+            type: 'array',
+            items: {
+              type: 'string',
+            },
+          },
+          colorProps: {
+            type: 'array',
+            items: {
+              type: 'string',
+            },
+          },
+          palette: {
+            type: 'object',
+            properties: {
+              path: {
+                type: 'string',
+              },
+              name: {
+                type: 'string',
+              },
+              module: {
+                type: 'string',
+              },
+            },
+            required: ['path'],
+            additionalProperties: false,
+          },
+        },
+        additionalProperties: false,
+      },
+    ],
   },
   create,
 };
@@ -0,0 +1,204 @@
+/**
+ * @fileoverview Detects style properties that the styled component ignores
+ */
+
+'use strict';
+
+const eslintUtil = require('../util/eslint');
+const styleSheet = require('../util/stylesheet');
+const styleSchemas = require('../util/styleSchemas');
+
+const { astHelpers } = styleSheet;
+
+const SCROLL_VIEW = { style: 'View', contentContainerStyle: 'View' };
+
+// The host component each style attribute of the core components applies to
+const DEFAULT_COMPONENTS = {
+  View: 'View',
+  SafeAreaView: 'View',
+  KeyboardAvoidingView: 'View',
+  Pressable: 'View',
+  TouchableHighlight: 'View',
+  TouchableOpacity: 'View',
+  'Animated.View': 'View',
+  ScrollView: SCROLL_VIEW,
+  'Animated.ScrollView': SCROLL_VIEW,
+  FlatList: { ...SCROLL_VIEW, columnWrapperStyle: 'View' },
+  'Animated.FlatList': { ...SCROLL_VIEW, columnWrapperStyle: 'View' },
+  SectionList: SCROLL_VIEW,
+  Text: 'Text',
+  TextInput: 'Text',
+  'Animated.Text': 'Text',
+  Image: 'Image',
+  'Animated.Image': 'Image',
+  ImageBackground: { style: 'View', imageStyle: 'Image' },
+};
+
+function normalizeComponents(components) {
+  const result = {};
+
+  Object.keys(components).forEach((name) => {
+    const attributes = components[name];
+    result[name] = typeof attributes === 'string' ? { style: attributes } : attributes;
+  });
+
+  return result;
+}
+
+function create(context) {
+  const options = context.options[0] || {};
+  const components = normalizeComponents({ ...DEFAULT_COMPONENTS, ...options.components });
+  const styleReferences = [];
+
+  function getTarget(attribute, elementName) {
+    return attribute.name.name === 'style'
+      ? `<${elementName}>`
+      : `${attribute.name.name} of <${elementName}>`;
+  }
+
+  function getIgnoredProperties(object, component) {
+    return object.properties.filter((property) => {
+      if (property.type !== 'Property' || property.computed) {
+        return false;
+      }
+
+      const name = astHelpers.getStylePropertyIdentifier(property);
+
+      return styleSchemas.getStyleProperty(name) !== null
+        && styleSchemas.getStyleProperty(name, [component]) === null;
+    });
+  }
+
+  function checkStyleExpression(node, usage) {
+    if (!node) {
+      return;
+    }
+
+    switch (node.type) {
+      case 'ObjectExpression':
+        getIgnoredProperties(node, usage.component).forEach((property) => {
+          context.report({
+            node: property.key,
+            message: '{{property}} has no effect on {{target}}',
+            data: {
+              property: astHelpers.getStylePropertyIdentifier(property),
+              target: usage.target,
+            },
+          });
+        });
+        break;
+      case 'MemberExpression': {
+        const styleSheetName = astHelpers.getMemberExpressionName(node.object);
+        const key = astHelpers.getStaticPropertyKey(node.property, node.computed);
+        if (styleSheetName && key !== undefined) {
+          styleReferences.push({
+            ...usage,
+            node,
+            styleSheetName,
+            key,
+          });
+        }
+        break;
+      }
+      case 'ArrayExpression':
+        node.elements.forEach((element) => checkStyleExpression(element, usage));
+        break;
+      case 'LogicalExpression':
+        checkStyleExpression(node.left, usage);
+        checkStyleExpression(node.right, usage);
+        break;
+      case 'ConditionalExpression':
+        checkStyleExpression(node.consequent, usage);
+        checkStyleExpression(node.alternate, usage);
+        break;
+      default:
+    }
+  }
+
+  function checkStyleReference(reference) {
+    const style = astHelpers.getReferencedStyle(
+      eslintUtil.getSourceCode(context),
+      reference.node,
+      context.settings
+    );
+
+    if (!style || style.value.type !== 'ObjectExpression') {
+      return;
+    }
+
+    getIgnoredProperties(style.value, reference.component).forEach((property) => {
+      context.report({
+        node: reference.node,
+        message: '{{property}} of {{style}} has no effect on {{target}}',
+        data: {
+          property: astHelpers.getStylePropertyIdentifier(property),
+          style: `${reference.styleSheetName}.${reference.key}`,
+          target: reference.target,
+        },
+      });
+    });
+  }
+
+  return {
+    JSXAttribute: (node) => {
+      if (
+        node.name.type !== 'JSXIdentifier'
+        || !node.value
+        || node.value.type !== 'JSXExpressionContainer'
+      ) {
+        return;
+      }
+
+      const elementName = astHelpers.getJSXElementName(node.parent.name);
+      const attributes = components[elementName];
+      const component = attributes && attributes[node.name.name];
+
+      if (component) {
+        checkStyleExpression(node.value.expression, {
+          component,
+          target: getTarget(node, elementName),
+        });
+      }
+    },
+
+    'Program:exit': () => {
+      styleReferences.forEach(checkStyleReference);
+    },
+  };
+}
+
+module.exports = {
+  meta: {
+    docs: {
+      description: 'Detect style properties that have no effect on the component they are applied to',
+      category: 'Possible Errors',
+      recommended: false,
+      url: '',
+    },
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          components: {
+            type: 'object',
+            additionalProperties: {
+              oneOf: [
+                {
+                  enum: styleSchemas.COMPONENTS,
+                },
+                {
+                  type: 'object',
+                  additionalProperties: {
+                    enum: styleSchemas.COMPONENTS,
+                  },
+                },
+              ],
+            },
+          },
+        },
+        additionalProperties: false,
+      },
+    ],
+  },
+  create,
+};
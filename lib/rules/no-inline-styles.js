@@ -7,23 +7,266 @@
 
 const util = require('util');
 const Components = require('../util/Components');
+const eslintUtil = require('../util/eslint');
 const styleSheet = require('../util/stylesheet');
+const fixers = require('../util/fixers');
 
 const { StyleSheets } = styleSheet;
 const { astHelpers } = styleSheet;
 
-const create = Components.detect((context) => {
+const STYLES_NAME = 'styles';
+
+function isStaticValue(node) {
+  return node.type === 'Literal'
+    || (
+      node.type === 'UnaryExpression'
+      && (node.operator === '-' || node.operator === '+')
+      && node.argument.type === 'Literal'
+    );
+}
+
+/**
+ * Returns the name of a component, declared as a function or a class, or
+ * assigned to a variable, possibly through wrappers like `memo()`.
+ */
+function getComponentName(component) {
+  if (component.id) {
+    return component.id.name;
+  }
+
+  let node = component;
+  while (node.parent.type === 'CallExpression') {
+    node = node.parent;
+  }
+
+  return node.parent.type === 'VariableDeclarator' && node.parent.id.type === 'Identifier'
+    ? node.parent.id.name
+    : '';
+}
+
+/**
+ * Generates a style key from the names of the enclosing component, of the
+ * styled element without its namespace and of the style attribute, e.g.
+ * `helloText` for `<Text style>` or `<Animated.Text style>` in `Hello`, or
+ * `listScrollViewContentContainer` for `<ScrollView contentContainerStyle>`
+ * in `List`.
+ */
+function getStyleKey(attribute, component, existingKeys) {
+  const words = [
+    component ? getComponentName(component) : '',
+    astHelpers.getJSXElementName(attribute.parent.name).split('.').pop(),
+  ];
+  if (attribute.name.name !== 'style') {
+    words.push(attribute.name.name.replace(/Style$/, ''));
+  }
+
+  const base = words
+    .filter(Boolean)
+    .map((word, index) => (index === 0
+      ? word.charAt(0).toLowerCase() + word.slice(1)
+      : word.charAt(0).toUpperCase() + word.slice(1)))
+    .join('') || 'style';
+
+  let key = base;
+  for (let index = 2; existingKeys.includes(key); index += 1) {
+    key = base + index;
+  }
+
+  return key;
+}
+
+function getIndentation(sourceCode, node) {
+  return /^\s*/.exec(sourceCode.lines[node.loc.start.line - 1])[0];
+}
+
+const create = Components.detect((context, components, utils) => {
   const styleSheets = new StyleSheets();
+  const sourceCode = eslintUtil.getSourceCode(context);
+  const options = context.options[0] || {};
+  const allowedProperties = options.allow || [];
+  const ignoredComponents = options.ignoreComponents || [];
+  const maxLiteralProperties = options.maxLiteralProperties || 0;
+  const resolveLevel = options.resolve || 'all';
+  const inlineStyles = new Map();
+  let styleSheetDeclaration = null;
+
+  function isModuleStyleSheet(node) {
+    const declarator = node.parent;
+    const declaration = declarator.parent;
+
+    return declarator.type === 'VariableDeclarator'
+      && declarator.id.type === 'Identifier'
+      && declaration.type === 'VariableDeclaration'
+      && (
+        declaration.parent.type === 'Program'
+        || declaration.parent.type === 'ExportNamedDeclaration'
+      )
+      && node.arguments.length === 1
+      && node.arguments[0].type === 'ObjectExpression'
+      && astHelpers.isStyleSheetCreateCall(node, context.settings);
+  }
+
+  function getStyleSheetFix(fixer, key, properties) {
+    const fixes = [];
+    const declarations = properties.map((property) => sourceCode.getText(property));
+
+    if (styleSheetDeclaration) {
+      const object = styleSheetDeclaration.arguments[0];
+      const lastProperty = object.properties[object.properties.length - 1];
+
+      if (!lastProperty) {
+        const indentation = getIndentation(sourceCode, object);
+        fixes.push(fixer.replaceText(object, [
+          '{',
+          `${indentation}  ${key}: {`,
+          ...declarations.map((declaration) => `${indentation}    ${declaration},`),
+          `${indentation}  },`,
+          `${indentation}}`,
+        ].join('\n')));
+      } else {
+        const indentation = getIndentation(sourceCode, lastProperty);
+        const nextToken = sourceCode.getTokenAfter(lastProperty);
+        const hasTrailingComma = nextToken.value === ',';
+        fixes.push(fixer.insertTextAfter(hasTrailingComma ? nextToken : lastProperty, [
+          hasTrailingComma ? '' : ',',
+          `${indentation}${key}: {`,
+          ...declarations.map((declaration) => `${indentation}  ${declaration},`),
+          `${indentation}},`,
+        ].join('\n')));
+      }
+
+      return fixes;
+    }
+
+    const program = sourceCode.ast;
+    fixes.push(fixer.insertTextAfter(program.body[program.body.length - 1], [
+      '',
+      '',
+      `const ${STYLES_NAME} = StyleSheet.create({`,
+      `  ${key}: {`,
+      ...declarations.map((declaration) => `    ${declaration},`),
+      '  },',
+      '});',
+    ].join('\n')));
+
+    return fixes;
+  }
+
+  function getReplacement(node, stylesName, key, dynamicProperties) {
+    const reference = `${stylesName}.${key}`;
+
+    if (!dynamicProperties.length) {
+      return reference;
+    }
+
+    const dynamicStyle = `{ ${dynamicProperties
+      .map((property) => sourceCode.getText(property))
+      .join(', ')} }`;
 
-  function reportInlineStyles(inlineStyles) {
-    if (inlineStyles) {
-      inlineStyles.forEach((style) => {
-        if (style) {
-          const expression = util.inspect(style.expression);
+    return node.parent.type === 'ArrayExpression'
+      ? `${reference}, ${dynamicStyle}`
+      : `[${reference}, ${dynamicStyle}]`;
+  }
+
+  function resolveObject(node) {
+    return astHelpers.resolveObjectExpression(sourceCode, node, { memo: resolveLevel === 'all' });
+  }
+
+  function getSuggestions(node) {
+    const { attribute, component, scope } = inlineStyles.get(node);
+
+    if (node.type !== 'ObjectExpression' || node.properties.some((property) => property.type !== 'Property' || property.computed)) {
+      return [];
+    }
+
+    const staticProperties = node.properties.filter((property) => isStaticValue(property.value));
+    const dynamicProperties = node.properties.filter((property) => !isStaticValue(property.value));
+
+    if (!staticProperties.length || attribute.name.type !== 'JSXIdentifier') {
+      return [];
+    }
+
+    const stylesName = styleSheetDeclaration ? styleSheetDeclaration.parent.id.name : STYLES_NAME;
+    const stylesVariable = astHelpers.findVariable(scope, stylesName);
+    const styleSheetVariable = astHelpers.findVariable(scope, 'StyleSheet');
+
+    // The reference to the StyleSheet must not be shadowed, nor clash with an
+    // existing variable when the StyleSheet is created
+    if (styleSheetDeclaration
+      ? !stylesVariable || stylesVariable.defs[0].node !== styleSheetDeclaration.parent
+      : stylesVariable) {
+      return [];
+    }
+
+    const existingKeys = styleSheetDeclaration
+      ? styleSheetDeclaration.arguments[0].properties.map(astHelpers.getStylePropertyIdentifier)
+      : [];
+    const key = getStyleKey(attribute, component, existingKeys);
+
+    return [{
+      desc: 'Move the inline style to {{styles}}.{{key}}',
+      data: { styles: stylesName, key },
+      fix: (fixer) => {
+        const fixes = [
+          fixer.replaceText(node, getReplacement(node, stylesName, key, dynamicProperties)),
+        ].concat(getStyleSheetFix(fixer, key, staticProperties));
+
+        if (!styleSheetDeclaration && !styleSheetVariable) {
+          const importFix = fixers.insertNamedImport(fixer, sourceCode, 'react-native', 'StyleSheet');
+          if (!importFix) {
+            return null;
+          }
+          fixes.push(importFix);
+        }
+
+        return fixes;
+      },
+    }];
+  }
+
+  function isDynamicProperty(style, property) {
+    return property.type !== 'Property'
+      || !Object.prototype.hasOwnProperty.call(
+        style.expression,
+        astHelpers.getStylePropertyIdentifier(property)
+      );
+  }
+
+  function getReportedExpression(style) {
+    const { attribute } = inlineStyles.get(style.node);
+
+    if (ignoredComponents.includes(astHelpers.getJSXElementName(attribute.parent.name))) {
+      return null;
+    }
+    if (
+      options.allowIfContainsDynamic
+      && (style.resolved || style.node).properties
+        .some((property) => isDynamicProperty(style, property))
+    ) {
+      return null;
+    }
+
+    const keys = Object.keys(style.expression).filter((key) => !allowedProperties.includes(key));
+    if (keys.length <= maxLiteralProperties) {
+      return null;
+    }
+
+    return keys.reduce((result, key) => Object.assign(result, {
+      [key]: style.expression[key],
+    }), {});
+  }
+
+  function reportInlineStyles(styles) {
+    if (styles) {
+      styles.forEach((style) => {
+        const reportedExpression = style && getReportedExpression(style);
+        if (reportedExpression) {
+          const expression = util.inspect(reportedExpression);
           context.report({
             node: style.node,
             message: 'Inline style: {{expression}}',
             data: { expression },
+            suggest: getSuggestions(style.node),
           });
         }
       });
@@ -31,9 +274,26 @@ const create = Components.detect((context) => {
   }
 
   return {
+    CallExpression: (node) => {
+      if (!styleSheetDeclaration && isModuleStyleSheet(node)) {
+        styleSheetDeclaration = node;
+      }
+    },
+
     JSXAttribute: (node) => {
       if (astHelpers.isStyleAttribute(node)) {
-        const styles = astHelpers.collectStyleObjectExpressions(node.value, context);
+        const styles = astHelpers.collectStyleObjectExpressions(
+          node.value,
+          context,
+          resolveLevel === 'inline' ? undefined : resolveObject
+        );
+        const scope = eslintUtil.getScope(context, node);
+        const component = utils.getParentComponent(node);
+        styles.forEach((style) => {
+          if (style) {
+            inlineStyles.set(style.node, { attribute: node, component, scope });
+          }
+        });
         styleSheets.addObjectExpressions(styles);
       }
     },
@@ -44,7 +304,44 @@ const create = Components.detect((context) => {
 
 module.exports = {
   meta: {
-    schema: [],
+    docs: {
+      description: 'Detect JSX components with inline styles that contain literal values',
+      category: 'Stylistic Issues',
+      recommended: 'warn',
+      strict: true,
+      url: '',
+    },
+    hasSuggestions: true,
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          allow: {
+            type: 'array',
+            items: {
+              type: 'string',
+            },
+          },
+          allowIfContainsDynamic: {
+            type: 'boolean',
+          },
+          maxLiteralProperties: {
+            type: 'integer',
+            minimum: 0,
+          },
+          ignoreComponents: {
+            type: 'array',
+            items: {
+              type: 'string',
+            },
+          },
+          resolve: {
+            enum: ['inline', 'variables', 'all'],
+          },
+        },
+        additionalProperties: false,
+      },
+    ],
   },
   create,
 };
@@ -0,0 +1,262 @@
+/**
+ * @fileoverview Detects unknown style properties and invalid style values
+ */
+
+'use strict';
+
+const eslintUtil = require('../util/eslint');
+const styleSheet = require('../util/stylesheet');
+const styleSchemas = require('../util/styleSchemas');
+
+const { astHelpers } = styleSheet;
+
+function getEditDistance(a, b) {
+  const distances = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i += 1) {
+    let previous = distances[0];
+    distances[0] = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const current = distances[j];
+      distances[j] = a[i - 1] === b[j - 1]
+        ? previous
+        : 1 + Math.min(previous, distances[j], distances[j - 1]);
+      previous = current;
+    }
+  }
+
+  return distances[b.length];
+}
+
+function toCamelCase(name) {
+  return name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+/**
+ * Returns the kind and the value of a literal style value, or null when the
+ * value isn't known statically.
+ */
+function getValue(node) {
+  switch (node.type) {
+    case 'Literal':
+      if (['number', 'string', 'boolean'].includes(typeof node.value)) {
+        return { kind: typeof node.value, value: node.value };
+      }
+      return null;
+    case 'UnaryExpression':
+      if (
+        (node.operator === '-' || node.operator === '+')
+        && node.argument.type === 'Literal'
+        && typeof node.argument.value === 'number'
+      ) {
+        return { kind: 'number', value: node.operator === '-' ? -node.argument.value : node.argument.value };
+      }
+      return null;
+    case 'TemplateLiteral':
+      return node.expressions.length ? null : { kind: 'string', value: node.quasis[0].value.cooked };
+    case 'ArrayExpression':
+      return { kind: 'array' };
+    case 'ObjectExpression':
+      return { kind: 'object' };
+    default:
+      return null;
+  }
+}
+
+// `$variables` and `@media` queries of extended StyleSheets
+function isExtendedStyleSheetKey(name) {
+  return typeof name === 'string' && /^[$@]/.test(name);
+}
+
+function create(context) {
+  const options = context.options[0] || {};
+  const allowedProperties = options.allow || [];
+  const version = context.settings['react-native/version'];
+  const sourceCode = eslintUtil.getSourceCode(context);
+  const knownNames = styleSchemas.getStylePropertyNames(undefined, version);
+
+  function getSuggestion(name) {
+    const camelCaseName = toCamelCase(name);
+    const sameName = knownNames.find((knownName) => (
+      knownName.toLowerCase() === camelCaseName.toLowerCase()
+    ));
+
+    if (sameName) {
+      return sameName;
+    }
+
+    const maxDistance = Math.min(2, Math.floor(name.length / 3));
+    let suggestion = null;
+    let suggestionDistance = maxDistance + 1;
+
+    knownNames.forEach((knownName) => {
+      const distance = getEditDistance(camelCaseName.toLowerCase(), knownName.toLowerCase());
+      if (distance < suggestionDistance) {
+        suggestion = knownName;
+        suggestionDistance = distance;
+      }
+    });
+
+    return suggestion;
+  }
+
+  function reportUnknownProperty(property, name) {
+    const suggestion = getSuggestion(name);
+
+    context.report({
+      node: property.key,
+      message: suggestion
+        ? 'Unknown style property {{name}}, did you mean {{suggestion}}?'
+        : 'Unknown style property {{name}}',
+      data: { name, suggestion },
+      suggest: suggestion
+        ? [{
+          desc: 'Replace {{name}} with {{suggestion}}',
+          data: { name, suggestion },
+          fix: (fixer) => fixer.replaceText(property.key, suggestion),
+        }]
+        : [],
+    });
+  }
+
+  function checkValue(property, name, definition) {
+    const value = getValue(property.value);
+
+    if (!value || styleSchemas.acceptsValue(definition, value.kind, value.value, version)) {
+      return;
+    }
+
+    const text = sourceCode.getText(property.value);
+    const replacement = `'${value.value}'`;
+    const acceptsString = value.kind === 'number'
+      && styleSchemas.acceptsValue(definition, 'string', String(value.value), version);
+
+    context.report({
+      node: property.value,
+      message: 'Invalid value {{value}} for style property {{name}}, expected {{expected}}',
+      data: {
+        value: text,
+        name,
+        expected: styleSchemas.describeTypes(definition, version),
+      },
+      suggest: acceptsString
+        ? [{
+          desc: 'Replace {{value}} with {{replacement}}',
+          data: { value: text, replacement },
+          fix: (fixer) => fixer.replaceText(property.value, replacement),
+        }]
+        : [],
+    });
+  }
+
+  function checkProperty(property) {
+    if (property.type !== 'Property' || property.computed) {
+      return;
+    }
+
+    const name = astHelpers.getStylePropertyIdentifier(property);
+
+    if (
+      typeof name !== 'string'
+      || isExtendedStyleSheetKey(name)
+      || allowedProperties.includes(name)
+    ) {
+      return;
+    }
+
+    const definition = styleSchemas.getStyleProperty(name);
+
+    if (!definition) {
+      reportUnknownProperty(property, name);
+      return;
+    }
+
+    if (!styleSchemas.isAvailable(definition.since, version)) {
+      context.report({
+        node: property.key,
+        message: 'Style property {{name}} requires React Native {{since}}',
+        data: { name, since: definition.since },
+      });
+      return;
+    }
+
+    checkValue(property, name, definition);
+  }
+
+  function checkStyleObject(node) {
+    if (node && node.type === 'ObjectExpression') {
+      node.properties.forEach(checkProperty);
+    }
+  }
+
+  function checkStyleExpression(node) {
+    if (!node) {
+      return;
+    }
+
+    switch (node.type) {
+      case 'ObjectExpression':
+        checkStyleObject(node);
+        break;
+      case 'ArrayExpression':
+        node.elements.forEach(checkStyleExpression);
+        break;
+      case 'LogicalExpression':
+        checkStyleExpression(node.left);
+        checkStyleExpression(node.right);
+        break;
+      case 'ConditionalExpression':
+        checkStyleExpression(node.consequent);
+        checkStyleExpression(node.alternate);
+        break;
+      default:
+    }
+  }
+
+  return {
+    CallExpression: (node) => {
+      if (astHelpers.isStyleSheetDeclaration(node, context.settings)) {
+        astHelpers.getStyleDeclarations(node, context.settings)
+          .filter((style) => !isExtendedStyleSheetKey(astHelpers.getStylePropertyIdentifier(style)))
+          .forEach((style) => checkStyleObject(style.value));
+      }
+    },
+
+    JSXAttribute: (node) => {
+      if (
+        astHelpers.isStyleAttribute(node)
+        && node.value
+        && node.value.type === 'JSXExpressionContainer'
+      ) {
+        checkStyleExpression(node.value.expression);
+      }
+    },
+  };
+}
+
+module.exports = {
+  meta: {
+    docs: {
+      description: 'Detect unknown style properties and invalid style values',
+      category: 'Possible Errors',
+      recommended: false,
+      url: '',
+    },
+    hasSuggestions: true,
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          allow: {
+            type: 'array',
+            items: {
+              type: 'string',
+            },
+          },
+        },
+        additionalProperties: false,
+      },
+    ],
+  },
+  create,
+};
@@ -6,6 +6,7 @@
 'use strict';
 
 const { default: traverse } = require('@babel/traverse');
+const eslintUtil = require('../util/eslint');
 
 const elementName = (node, scope) => {
   const identifiers = [];
@@ -49,7 +50,7 @@ function create(context) {
 
   const hasOnlyLineBreak = (value) => /^[\r\n\t\f\v]+$/.test(value.replace(/ /g, ''));
 
-  const scope = context.getScope();
+  const scope = eslintUtil.getScope(context, eslintUtil.getSourceCode(context).ast);
   const getValidation = (node) => !allowedElements.includes(elementName(node.parent, scope));
 
   return {
@@ -90,6 +91,13 @@ function create(context) {
 
 module.exports = {
   meta: {
+    docs: {
+      description: 'Detect raw text outside of `Text` component',
+      category: 'Possible Errors',
+      recommended: false,
+      strict: true,
+      url: '',
+    },
     schema: [
       {
         type: 'object',
@@ -0,0 +1,234 @@
+/**
+ * @fileoverview Detects style properties that are always overridden
+ */
+
+'use strict';
+
+const eslintUtil = require('../util/eslint');
+const styleSheet = require('../util/stylesheet');
+const fixers = require('../util/fixers');
+
+const { astHelpers } = styleSheet;
+
+function getEdgeShorthands(prefix, suffix) {
+  const name = (edge) => `${prefix}${edge}${suffix}`;
+
+  return {
+    [name('')]: [
+      [name('Top'), name('Vertical')],
+      [name('Bottom'), name('Vertical')],
+      [name('Left'), name('Horizontal')],
+      [name('Right'), name('Horizontal')],
+    ],
+    [name('Horizontal')]: [[name('Left')], [name('Right')]],
+    [name('Vertical')]: [[name('Top')], [name('Bottom')]],
+  };
+}
+
+/**
+ * The shorthand properties, with the longhand properties overriding each of
+ * their parts. React Native gives precedence to the most specific property,
+ * whatever their order, so a shorthand is dead when all its parts are set.
+ */
+const SHORTHANDS = {
+  ...getEdgeShorthands('margin', ''),
+  ...getEdgeShorthands('padding', ''),
+  borderWidth: [['borderTopWidth'], ['borderBottomWidth'], ['borderLeftWidth'], ['borderRightWidth']],
+  borderColor: [['borderTopColor'], ['borderBottomColor'], ['borderLeftColor'], ['borderRightColor']],
+  borderRadius: [
+    ['borderTopLeftRadius'],
+    ['borderTopRightRadius'],
+    ['borderBottomLeftRadius'],
+    ['borderBottomRightRadius'],
+  ],
+};
+
+function getPropertyName(property) {
+  return property.type === 'Property' && !property.computed
+    ? astHelpers.getStylePropertyIdentifier(property)
+    : undefined;
+}
+
+function create(context) {
+  const sourceCode = eslintUtil.getSourceCode(context);
+  const styleArrays = [];
+
+  function getRemoval(property) {
+    const range = fixers.getListItemRange(sourceCode, property);
+    const fix = (fixer) => fixer.removeRange(range);
+
+    return fixers.hasAttachedComments(sourceCode, property)
+      ? { suggest: [{ desc: 'Remove {{property}}', data: { property: getPropertyName(property) }, fix }] }
+      : { fix };
+  }
+
+  function checkStyleObject(node) {
+    if (!node || node.type !== 'ObjectExpression') {
+      return;
+    }
+
+    const properties = node.properties
+      .filter((property) => getPropertyName(property) !== undefined);
+    const names = new Set(properties.map(getPropertyName));
+
+    properties.forEach((property, index) => {
+      const name = getPropertyName(property);
+      const laterProperties = properties.slice(index + 1);
+
+      if (laterProperties.some((laterProperty) => getPropertyName(laterProperty) === name)) {
+        context.report({
+          node: property.key,
+          message: 'Redundant style property {{property}}, declared again below',
+          data: { property: name },
+          ...getRemoval(property),
+        });
+        return;
+      }
+
+      const parts = SHORTHANDS[name];
+      if (parts && parts.every((longhands) => longhands.some((longhand) => names.has(longhand)))) {
+        const overriding = Array.from(new Set(parts
+          .map((longhands) => longhands.find((longhand) => names.has(longhand))))).join(', ');
+
+        context.report({
+          node: property.key,
+          message: 'Redundant style property {{property}}, overridden by {{overriding}}',
+          data: { property: name, overriding },
+          ...getRemoval(property),
+        });
+      }
+    });
+  }
+
+  function getStyleObject(element) {
+    if (element.type === 'ObjectExpression') {
+      return { object: element, name: 'inline style' };
+    }
+
+    if (element.type !== 'MemberExpression') {
+      return null;
+    }
+
+    const styleSheetName = astHelpers.getMemberExpressionName(element.object);
+    const key = astHelpers.getStaticPropertyKey(element.property, element.computed);
+    const style = astHelpers.getReferencedStyle(sourceCode, element, context.settings);
+
+    return style && style.value.type === 'ObjectExpression'
+      ? { object: style.value, name: `${styleSheetName}.${key}` }
+      : null;
+  }
+
+  /**
+   * Reports the properties of the styles of an array that are overridden by
+   * the same property in a later style. Only the styles that are always
+   * applied, not the conditional ones, can override the previous ones.
+   */
+  function checkStyleArray(node) {
+    const styles = node.elements
+      .map((element) => element && { element, style: getStyleObject(element) })
+      .filter((item) => item && item.style);
+
+    styles.forEach(({ element, style }, index) => {
+      const laterStyles = styles.slice(index + 1);
+
+      style.object.properties.forEach((property) => {
+        const name = getPropertyName(property);
+        const overriding = name !== undefined && laterStyles
+          .filter((laterStyle) => laterStyle.style.object.properties
+            .some((laterProperty) => getPropertyName(laterProperty) === name))
+          .pop();
+
+        if (!overriding) {
+          return;
+        }
+
+        const data = { property: name, style: style.name, overriding: overriding.style.name };
+
+        if (element.type === 'ObjectExpression') {
+          context.report({
+            node: property.key,
+            message: 'Redundant style property {{property}}, overridden by {{overriding}}',
+            data,
+            ...getRemoval(property),
+          });
+          return;
+        }
+
+        // The style may be used elsewhere, so removing the property is only suggested
+        context.report({
+          node: element,
+          message: 'Redundant style property {{property}} of {{style}}, overridden by {{overriding}}',
+          data,
+          suggest: [{
+            desc: 'Remove {{property}} from {{style}}',
+            data,
+            fix: (fixer) => fixer.removeRange(fixers.getListItemRange(sourceCode, property)),
+          }],
+        });
+      });
+    });
+  }
+
+  function checkStyleExpression(node) {
+    if (!node) {
+      return;
+    }
+
+    switch (node.type) {
+      case 'ObjectExpression':
+        checkStyleObject(node);
+        break;
+      case 'ArrayExpression':
+        node.elements.forEach(checkStyleExpression);
+        styleArrays.push(node);
+        break;
+      case 'LogicalExpression':
+        checkStyleExpression(node.left);
+        checkStyleExpression(node.right);
+        break;
+      case 'ConditionalExpression':
+        checkStyleExpression(node.consequent);
+        checkStyleExpression(node.alternate);
+        break;
+      default:
+    }
+  }
+
+  return {
+    CallExpression: (node) => {
+      if (astHelpers.isStyleSheetDeclaration(node, context.settings)) {
+        astHelpers.getStyleDeclarations(node, context.settings)
+          .forEach((style) => checkStyleObject(style.value));
+      }
+    },
+
+    JSXAttribute: (node) => {
+      if (
+        astHelpers.isStyleAttribute(node)
+        && node.value
+        && node.value.type === 'JSXExpressionContainer'
+      ) {
+        checkStyleExpression(node.value.expression);
+      }
+    },
+
+    'Program:exit': () => {
+      styleArrays.forEach(checkStyleArray);
+    },
+  };
+}
+
+module.exports = {
+  meta: {
+    docs: {
+      description: 'Detect style properties that are always overridden by other properties',
+      category: 'Best Practices',
+      recommended: false,
+      url: '',
+    },
+    fixable: 'code',
+    hasSuggestions: true,
+    schema: [],
+  },
+  create,
+};
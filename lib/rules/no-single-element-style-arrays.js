@@ -5,13 +5,15 @@
 
 'use strict';
 
+const eslintUtil = require('../util/eslint');
+
 module.exports = {
   meta: {
     docs: {
       description:
         'Disallow single element style arrays. These cause unnecessary re-renders as the identity of the array always changes',
       category: 'Stylistic Issues',
-      recommended: false,
+      recommended: 'warn',
       url: '',
     },
     fixable: 'code',
@@ -25,7 +27,7 @@ module.exports = {
           'Single element style arrays are not necessary and cause unnecessary re-renders',
         fix(fixer) {
           const realStyleNode = JSXExpressionNode.value.expression.elements[0];
-          const styleSource = context.getSourceCode().getText(realStyleNode);
+          const styleSource = eslintUtil.getSourceCode(context).getText(realStyleNode);
           return fixer.replaceText(JSXExpressionNode.value.expression, styleSource);
         },
       });
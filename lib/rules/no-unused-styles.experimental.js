@@ -2,32 +2,12 @@
 
 const StylesMap = require('../util/StylesMap');
 const Components = require('../util/Components');
-const styleSheet = require('../util/stylesheet');
-
-const { StyleSheets } = styleSheet;
-const { astHelpers } = styleSheet;
+const eslintUtil = require('../util/eslint');
+const unusedStyles = require('../util/unusedStyles');
+const { astHelpers } = require('../util/stylesheet');
 
 const create = Components.detect((context, components) => {
-  const styleSheets = new StyleSheets();
-  const styleReferences = new Set();
-
-  function reportUnusedStyles(unusedStyles) {
-    Object.keys(unusedStyles).forEach((key) => {
-      if ({}.hasOwnProperty.call(unusedStyles, key)) {
-        const styles = unusedStyles[key];
-        styles.forEach((node) => {
-          const message = [
-            'Unused style detected: ',
-            key,
-            '.',
-            node.key.name,
-          ].join('');
-
-          context.report(node, message);
-        });
-      }
-    });
-  }
+  const { addStyleSheet, visitors } = unusedStyles.createTracker(context, components);
 
   function addImportVariable(node) {
     const importSource = node.parent.source.value;
@@ -51,18 +31,22 @@ const create = Components.detect((context, components) => {
 
     const styles = exportMap.getStylesByImportedName(importedName);
 
-    styleSheets.add(
+    addStyleSheet(
       localName,
       styles.map((styleNode) => {
         // eslint-disable-next-line no-param-reassign
         styleNode.loc = node.loc;
 
         return styleNode;
-      })
+      }),
+      null,
+      astHelpers.findVariable(eslintUtil.getScope(context, node), localName)
     );
   }
 
   return {
+    ...visitors,
+
     ImportDefaultSpecifier: function (node) {
       addImportVariable(node);
     },
@@ -70,32 +54,6 @@ const create = Components.detect((context, components) => {
     ImportSpecifier: function (node) {
       addImportVariable(node);
     },
-
-    MemberExpression: function (node) {
-      const styleRef = astHelpers.getPotentialStyleReferenceFromMemberExpression(node);
-      if (styleRef) {
-        styleReferences.add(styleRef);
-      }
-    },
-
-    CallExpression: function (node) {
-      if (astHelpers.isStyleSheetDeclaration(node, context.settings)) {
-        const styleSheetName = astHelpers.getStyleSheetName(node);
-        const styles = astHelpers.getStyleDeclarations(node);
-
-        styleSheets.add(styleSheetName, styles);
-      }
-    },
-
-    'Program:exit': function () {
-      const list = components.all();
-      if (Object.keys(list).length > 0) {
-        styleReferences.forEach((reference) => {
-          styleSheets.markAsUsed(reference);
-        });
-        reportUnusedStyles(styleSheets.getUnusedReferences());
-      }
-    },
   };
 });
 
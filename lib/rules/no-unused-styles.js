@@ -17,11 +17,25 @@ function create(context) {
 
 module.exports = {
   meta: {
+    docs: {
+      description: 'Detect `StyleSheet` rules which are not used in your React components',
+      category: 'Best Practices',
+      recommended: 'error',
+      url: '',
+    },
+    fixable: 'code',
+    hasSuggestions: true,
     schema: [
       {
         type: 'object',
         additionalProperties: false,
-        properties: { enableImportsCheck: { type: 'boolean' } },
+        properties: {
+          enableImportsCheck: { type: 'boolean' },
+          enableProjectCheck: { type: 'boolean' },
+          projectRoot: { type: 'string' },
+          cacheLocation: { type: 'string' },
+          reportUnverifiable: { type: 'boolean' },
+        },
       },
     ],
   },
@@ -6,61 +6,11 @@
 'use strict';
 
 const Components = require('../util/Components');
-const styleSheet = require('../util/stylesheet');
+const unusedStyles = require('../util/unusedStyles');
 
-const { StyleSheets } = styleSheet;
-const { astHelpers } = styleSheet;
-
-const create = Components.detect((context, components) => {
-  const styleSheets = new StyleSheets();
-  const styleReferences = new Set();
-
-  function reportUnusedStyles(unusedStyles) {
-    Object.keys(unusedStyles).forEach((key) => {
-      if ({}.hasOwnProperty.call(unusedStyles, key)) {
-        const styles = unusedStyles[key];
-        styles.forEach((node) => {
-          const message = [
-            'Unused style detected: ',
-            key,
-            '.',
-            node.key.name,
-          ].join('');
-
-          context.report(node, message);
-        });
-      }
-    });
-  }
-
-  return {
-    MemberExpression: function (node) {
-      const styleRef = astHelpers.getPotentialStyleReferenceFromMemberExpression(node);
-      if (styleRef) {
-        styleReferences.add(styleRef);
-      }
-    },
-
-    CallExpression: function (node) {
-      if (astHelpers.isStyleSheetDeclaration(node, context.settings)) {
-        const styleSheetName = astHelpers.getStyleSheetName(node);
-        const styles = astHelpers.getStyleDeclarations(node);
-
-        styleSheets.add(styleSheetName, styles);
-      }
-    },
-
-    'Program:exit': function () {
-      const list = components.all();
-      if (Object.keys(list).length > 0) {
-        styleReferences.forEach((reference) => {
-          styleSheets.markAsUsed(reference);
-        });
-        reportUnusedStyles(styleSheets.getUnusedReferences());
-      }
-    },
-  };
-});
+const create = Components.detect((context, components) => (
+  unusedStyles.createTracker(context, components).visitors
+));
 
 module.exports = {
   meta: {
@@ -9,16 +9,100 @@
 // Requirements
 //------------------------------------------------------------------------------
 
+const naturalCompare = require('natural-compare');
+const eslintUtil = require('../util/eslint');
 const { astHelpers } = require('../util/stylesheet');
 
 const {
   getStyleDeclarationsChunks,
   getPropertiesChunks,
   getStylePropertyIdentifier,
+  getStyleSheetObject,
+  isStyleAttribute,
   isStyleSheetDeclaration,
   isEitherShortHand,
 } = astHelpers;
 
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+// Position and layout, flexbox, sizing, spacing, border, background, typography
+const DEFAULT_GROUPS = [
+  [
+    'position', 'top', 'right', 'bottom', 'left', 'start', 'end', 'inset*', 'zIndex',
+    'display', 'overflow', 'direction',
+  ],
+  [
+    'flex', 'flex*', 'justifyContent', 'alignContent', 'alignItems', 'alignSelf',
+    'gap', 'rowGap', 'columnGap',
+  ],
+  ['width', 'height', 'minWidth', 'maxWidth', 'minHeight', 'maxHeight', 'aspectRatio'],
+  ['margin', 'margin*', 'padding', 'padding*'],
+  ['border*'],
+  ['backgroundColor', 'opacity', 'shadow*', 'elevation'],
+  [
+    'color', 'font*', 'lineHeight', 'letterSpacing', 'text*', 'writingDirection',
+    'includeFontPadding', 'verticalAlign',
+  ],
+];
+
+const ORDER_NAMES = { asc: 'ascending', desc: 'descending', groups: 'group' };
+
+function compareNames(a, b) {
+  if (a < b) {
+    return -1;
+  }
+  if (a > b) {
+    return 1;
+  }
+  return 0;
+}
+
+function getNameComparator(natural, caseSensitive) {
+  return (a, b) => {
+    const nameA = caseSensitive || typeof a !== 'string' ? a : a.toLowerCase();
+    const nameB = caseSensitive || typeof b !== 'string' ? b : b.toLowerCase();
+
+    return natural && typeof nameA === 'string' && typeof nameB === 'string'
+      ? naturalCompare(nameA, nameB)
+      : compareNames(nameA, nameB);
+  };
+}
+
+function toPattern(pattern) {
+  const source = pattern
+    .split('*')
+    .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Returns a comparator ordering the style properties by group, then by the
+ * first pattern of the group they match, then alphabetically. The properties
+ * matching no group come last.
+ */
+function getGroupsComparator(groups, compare) {
+  const patterns = groups.map((group) => group.map(toPattern));
+
+  function getRank(name) {
+    for (let groupIndex = 0; groupIndex < patterns.length; groupIndex += 1) {
+      const patternIndex = patterns[groupIndex].findIndex((pattern) => pattern.test(name));
+      if (patternIndex !== -1) {
+        return [groupIndex, patternIndex];
+      }
+    }
+    return [patterns.length, 0];
+  }
+
+  return (a, b) => {
+    const rankA = getRank(a);
+    const rankB = getRank(b);
+    return (rankA[0] - rankB[0]) || (rankA[1] - rankB[1]) || compare(a, b);
+  };
+}
+
 //------------------------------------------------------------------------------
 // Rule Definition
 //------------------------------------------------------------------------------
@@ -28,59 +112,127 @@ function create(context) {
   const options = context.options[1] || {};
   const { ignoreClassNames } = options;
   const { ignoreStyleProperties } = options;
-  const isValidOrder = order === 'asc' ? (a, b) => a <= b : (a, b) => a >= b;
+  const spreads = options.spreads || 'boundary';
+  const { checkInlineStyles, checkNestedStyles, checkStyleFunctions } = options;
+  const checkedObjects = new Set();
+  const natural = Boolean(options.natural);
+  const caseSensitive = options.caseSensitive !== false;
+  const minKeys = options.minKeys || 2;
+  const compareKeys = getNameComparator(natural, caseSensitive);
+  const compareClassNames = order === 'desc' ? (a, b) => compareKeys(b, a) : compareKeys;
+  const compareStyleProperties = order === 'groups'
+    ? getGroupsComparator(options.groups || DEFAULT_GROUPS, compareKeys)
+    : compareClassNames;
 
-  const sourceCode = context.getSourceCode();
+  const sourceCode = eslintUtil.getSourceCode(context);
+
+  function getComparator(type) {
+    return type === 'style properties' ? compareStyleProperties : compareClassNames;
+  }
+
+  function getOrderName(type) {
+    if (type === 'style properties' && order === 'groups') {
+      return ORDER_NAMES.groups;
+    }
+    return [
+      natural ? 'natural' : '',
+      caseSensitive ? '' : 'insensitive',
+      ORDER_NAMES[order === 'groups' ? 'asc' : order],
+    ].filter(Boolean).join(' ');
+  }
+
+  function sort(array, type) {
+    const compare = getComparator(type);
 
-  function sort(array) {
     return [].concat(array).sort((a, b) => {
       const identifierA = getStylePropertyIdentifier(a);
       const identifierB = getStylePropertyIdentifier(b);
 
-      let sortOrder = 0;
       if (isEitherShortHand(identifierA, identifierB)) {
         return a.range[0] - b.range[0];
-      } if (identifierA < identifierB) {
-        sortOrder = -1;
-      } else if (identifierA > identifierB) {
-        sortOrder = 1;
       }
-      return sortOrder * (order === 'asc' ? 1 : -1);
+      return compare(identifierA, identifierB);
     });
   }
 
+  /**
+   * Splits a property of a chunk into the parts moved with it when sorting:
+   * the comments on the lines above it, the comments between it and its
+   * comma, and the comment following it on its last line. The comma after
+   * the property stays in place.
+   */
+  function getItem(property) {
+    const previousToken = sourceCode.getTokenBefore(property);
+    const leadingComments = sourceCode.getCommentsBefore(property)
+      .filter((comment) => comment.loc.start.line > previousToken.loc.end.line);
+    const nextToken = sourceCode.getTokenAfter(property);
+    const comma = nextToken && nextToken.value === ',' ? nextToken : null;
+    const innerComments = comma ? sourceCode.getCommentsAfter(property) : [];
+    const end = innerComments.length
+      ? innerComments[innerComments.length - 1].range[1]
+      : property.range[1];
+    const lastToken = comma || property;
+    const trailingComment = sourceCode.getCommentsAfter(lastToken)
+      .filter((comment) => comment.loc.start.line === lastToken.loc.end.line)
+      .pop();
+    const start = leadingComments.length ? leadingComments[0].range[0] : property.range[0];
+
+    return {
+      range: [start, trailingComment ? trailingComment.range[1] : lastToken.range[1]],
+      text: sourceCode.text.slice(start, end),
+      comma: Boolean(comma),
+      trailingText: trailingComment
+        ? sourceCode.text.slice(lastToken.range[1], trailingComment.range[1])
+        : '',
+    };
+  }
+
   function report(array, type, node, prev, current) {
     const currentName = getStylePropertyIdentifier(current);
     const prevName = getStylePropertyIdentifier(prev);
-    const hasComments = array
-      .map((prop) => [...sourceCode.getCommentsBefore(prop), ...sourceCode.getCommentsAfter(prop)])
-      .reduce(
-        (hasComment, comment) => hasComment || comment.length > 0,
-        false
-      );
 
     context.report({
       node,
-      message: `Expected ${type} to be in ${order}ending order. '${currentName}' should be before '${prevName}'.`,
+      message: `Expected ${type} to be in ${getOrderName(type)} order. '${currentName}' should be before '${prevName}'.`,
       loc: current.key.loc,
-      fix: hasComments ? undefined : (fixer) => {
-        const sortedArray = sort(array);
+      fix: (fixer) => {
+        const sortedArray = sort(array, type);
         return array
-          .map((item, i) => {
-            if (item !== sortedArray[i]) {
-              return fixer.replaceText(
-                item,
-                sourceCode.getText(sortedArray[i])
-              );
+          .map((property, i) => {
+            if (property === sortedArray[i]) {
+              return null;
             }
-            return null;
+
+            const item = getItem(property);
+            const sortedItem = getItem(sortedArray[i]);
+            return fixer.replaceTextRange(
+              item.range,
+              `${sortedItem.text}${item.comma ? ',' : ''}${sortedItem.trailingText}`
+            );
           })
           .filter(Boolean);
       },
     });
   }
 
+  function checkSpreads(properties, type) {
+    properties.forEach((property, i) => {
+      if (
+        property.type !== 'Property'
+        && properties.slice(0, i).some((previous) => previous.type === 'Property')
+        && properties.slice(i + 1).some((next) => next.type === 'Property')
+      ) {
+        context.report({
+          node: property,
+          message: `Unexpected spread between ${type}, the ${type} around it are sorted separately.`,
+        });
+      }
+    });
+  }
+
   function checkIsSorted(array, arrayName, node) {
+    const compare = getComparator(arrayName);
+
     for (let i = 1; i < array.length; i += 1) {
       const previous = array[i - 1];
       const current = array[i];
@@ -94,50 +246,158 @@ function create(context) {
 
       const oneIsShorthandForTheOther = arrayName === 'style properties' && isEitherShortHand(prevName, currentName);
 
-      if (!oneIsShorthandForTheOther && !isValidOrder(prevName, currentName)) {
+      if (!oneIsShorthandForTheOther && compare(prevName, currentName) > 0) {
         return report(array, arrayName, node, previous, current);
       }
     }
   }
 
+  function checkStyleObject(object, node) {
+    const styleProperties = object.properties;
+
+    if (styleProperties.length >= minKeys) {
+      getPropertiesChunks(styleProperties).forEach((stylePropertyChunk) => {
+        checkIsSorted(stylePropertyChunk, 'style properties', node);
+      });
+      if (spreads === 'warn') {
+        checkSpreads(styleProperties, 'style properties');
+      }
+    }
+
+    if (!checkNestedStyles) {
+      return;
+    }
+
+    // `shadowOffset: { width, height }` and `transform: [{ translateX }, ...]`
+    styleProperties.forEach((property) => {
+      if (property.type !== 'Property') {
+        return;
+      }
+      const values = property.value.type === 'ArrayExpression'
+        ? property.value.elements
+        : [property.value];
+      values
+        .filter((value) => value && value.type === 'ObjectExpression')
+        .forEach((value) => checkStyleObject(value, node));
+    });
+  }
+
+  function getStyleFunction(node) {
+    if (node.callee.type !== 'Identifier') {
+      return null;
+    }
+
+    const variable = astHelpers.findVariable(eslintUtil.getScope(context, node), node.callee.name);
+    const definition = variable && variable.defs.length === 1 && variable.defs[0];
+
+    if (!definition) {
+      return null;
+    }
+    if (definition.type === 'FunctionName') {
+      return definition.node;
+    }
+    if (
+      definition.type === 'Variable'
+      && definition.parent.kind === 'const'
+      && definition.node.init
+      && ['ArrowFunctionExpression', 'FunctionExpression'].includes(definition.node.init.type)
+    ) {
+      return definition.node.init;
+    }
+    return null;
+  }
+
+  function checkStyleExpression(node) {
+    if (!node) {
+      return;
+    }
+
+    switch (node.type) {
+      case 'ObjectExpression':
+        if (checkInlineStyles && !checkedObjects.has(node)) {
+          checkedObjects.add(node);
+          checkStyleObject(node, node);
+        }
+        break;
+      case 'CallExpression': {
+        const styleFunction = checkStyleFunctions && getStyleFunction(node);
+        const object = styleFunction && astHelpers.getReturnedObject(styleFunction);
+        if (object && object.type === 'ObjectExpression' && !checkedObjects.has(object)) {
+          checkedObjects.add(object);
+          checkStyleObject(object, object);
+        }
+        break;
+      }
+      case 'ArrayExpression':
+        node.elements.forEach(checkStyleExpression);
+        break;
+      case 'LogicalExpression':
+        checkStyleExpression(node.left);
+        checkStyleExpression(node.right);
+        break;
+      case 'ConditionalExpression':
+        checkStyleExpression(node.consequent);
+        checkStyleExpression(node.alternate);
+        break;
+      default:
+    }
+  }
+
   return {
     CallExpression: function (node) {
       if (!isStyleSheetDeclaration(node, context.settings)) {
         return;
       }
 
-      const classDefinitionsChunks = getStyleDeclarationsChunks(node);
+      const classDefinitionsChunks = getStyleDeclarationsChunks(node, context.settings);
 
-      if (!ignoreClassNames) {
+      const styleSheetObject = getStyleSheetObject(node, context.settings);
+
+      if (!ignoreClassNames && styleSheetObject && styleSheetObject.properties.length >= minKeys) {
         classDefinitionsChunks.forEach((classDefinitions) => {
           checkIsSorted(classDefinitions, 'class names', node);
         });
+        if (spreads === 'warn') {
+          checkSpreads(styleSheetObject.properties, 'class names');
+        }
       }
 
       if (ignoreStyleProperties) return;
 
       classDefinitionsChunks.forEach((classDefinitions) => {
         classDefinitions.forEach((classDefinition) => {
-          const styleProperties = classDefinition.value.properties;
-          if (!styleProperties || styleProperties.length < 2) {
-            return;
+          if (classDefinition.value.type === 'ObjectExpression') {
+            checkStyleObject(classDefinition.value, node);
           }
-          const stylePropertyChunks = getPropertiesChunks(styleProperties);
-          stylePropertyChunks.forEach((stylePropertyChunk) => {
-            checkIsSorted(stylePropertyChunk, 'style properties', node);
-          });
         });
       });
     },
+
+    JSXAttribute: function (node) {
+      if (
+        !ignoreStyleProperties
+        && isStyleAttribute(node)
+        && node.value
+        && node.value.type === 'JSXExpressionContainer'
+      ) {
+        checkStyleExpression(node.value.expression);
+      }
+    },
   };
 }
 
 module.exports = {
   meta: {
+    docs: {
+      description: 'Require style definitions to be sorted alphabetically',
+      category: 'Stylistic Issues',
+      recommended: false,
+      url: '',
+    },
     fixable: 'code',
     schema: [
       {
-        enum: ['asc', 'desc'],
+        enum: ['asc', 'desc', 'groups'],
       },
       {
         type: 'object',
@@ -148,6 +408,37 @@ module.exports = {
           ignoreStyleProperties: {
             type: 'boolean',
           },
+          spreads: {
+            enum: ['boundary', 'warn'],
+          },
+          checkInlineStyles: {
+            type: 'boolean',
+          },
+          checkNestedStyles: {
+            type: 'boolean',
+          },
+          checkStyleFunctions: {
+            type: 'boolean',
+          },
+          natural: {
+            type: 'boolean',
+          },
+          caseSensitive: {
+            type: 'boolean',
+          },
+          minKeys: {
+            type: 'integer',
+            minimum: 2,
+          },
+          groups: {
+            type: 'array',
+            items: {
+              type: 'array',
+              items: {
+                type: 'string',
+              },
+            },
+          },
         },
         additionalProperties: false,
       },
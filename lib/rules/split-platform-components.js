@@ -6,17 +6,105 @@
 
 'use strict';
 
+const eslintUtil = require('../util/eslint');
+const fixers = require('../util/fixers');
+const platformComponents = require('../util/platformComponents');
+const platformGuards = require('../util/platformGuards');
+const { astHelpers } = require('../util/stylesheet');
+
+// The module of a `require('module')` call
+function getRequiredModule(node) {
+  if (
+    node
+    && node.type === 'CallExpression'
+    && node.callee.type === 'Identifier'
+    && node.callee.name === 'require'
+    && node.arguments.length === 1
+    && node.arguments[0].type === 'Literal'
+    && typeof node.arguments[0].value === 'string'
+  ) {
+    return node.arguments[0].value;
+  }
+}
+
+// The parents of an expression that don't need it to be parenthesized
+const EXPRESSION_PARENTS = [
+  'ArrayExpression',
+  'ArrowFunctionExpression',
+  'AssignmentExpression',
+  'CallExpression',
+  'JSXExpressionContainer',
+  'Property',
+  'ReturnStatement',
+  'VariableDeclarator',
+];
+
+const PLATFORM_LABELS = {
+  ios: 'IOS',
+  macos: 'macOS',
+};
+
+function getLabel(platform) {
+  return PLATFORM_LABELS[platform] || platform.charAt(0).toUpperCase() + platform.slice(1);
+}
+
+function joinLabels(labels) {
+  return labels.length > 1
+    ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`
+    : labels[0];
+}
+
+/**
+ * Merges the components listed by each platform, as `{ [module]: [names] }`,
+ * into the components configured as `{ [module]: { [name]: platforms } }`.
+ */
+function getConfiguredComponents(options, platformsOptions) {
+  const result = {};
+
+  Object.keys(options.components || {}).forEach((source) => {
+    result[source] = { ...options.components[source] };
+  });
+  Object.keys(platformsOptions).forEach((platform) => {
+    const components = platformsOptions[platform].components || {};
+    Object.keys(components).forEach((source) => {
+      result[source] = result[source] || {};
+      components[source].forEach((name) => {
+        result[source][name] = [].concat(result[source][name] || [], platform);
+      });
+    });
+  });
+
+  return result;
+}
+
 function create(context) {
   let reactComponents = [];
-  const androidMessage = 'Android components should be placed in android files';
-  const iosMessage = 'IOS components should be placed in ios files';
-  const conflictMessage = 'IOS and Android components can\'t be mixed';
-  const iosPathRegex = context.options[0] && context.options[0].iosPathRegex
-    ? new RegExp(context.options[0].iosPathRegex)
-    : /\.ios\.[j|t]sx?$/;
-  const androidPathRegex = context.options[0] && context.options[0].androidPathRegex
-    ? new RegExp(context.options[0].androidPathRegex)
-    : /\.android\.[j|t]sx?$/;
+  const jsxUsages = [];
+  const namespaces = [];
+  const options = context.options[0] || {};
+  const guardMessage = '{{name}} is used in code that only runs on {{platforms}}';
+  const platformsOptions = platformComponents.getPlatformsOptions(options);
+  const configuredComponents = getConfiguredComponents(options, platformsOptions);
+  // The values of `Platform.OS`, `native` standing for all of them but `web`
+  const knownPlatforms = Object.keys(platformsOptions).filter((name) => name !== 'native');
+  const version = context.settings['react-native/version'];
+  const platforms = {};
+  const sourceCode = eslintUtil.getSourceCode(context);
+
+  function expandPlatforms(names) {
+    return names.reduce((result, name) => result.concat(name === 'native'
+      ? knownPlatforms.filter((platform) => platform !== 'web')
+      : name), []);
+  }
+
+  function getFilePlatforms(filename) {
+    const names = Object.keys(platformsOptions).filter((name) => (
+      platformsOptions[name].pathRegex
+      && new RegExp(platformsOptions[name].pathRegex).test(filename)
+    ));
+
+    return names.length ? expandPlatforms(names) : knownPlatforms;
+  }
 
   function getName(node) {
     if (node.type === 'Property') {
@@ -27,51 +115,304 @@ function create(context) {
     }
   }
 
-  function hasNodeWithName(nodes, name) {
-    return nodes.some((node) => {
-      const nodeName = getName(node);
-      return nodeName && nodeName.includes(name);
+  function getPlatforms(source, name) {
+    if (!platforms[source]) {
+      platforms[source] = platformComponents.getPlatformComponents(
+        source,
+        configuredComponents,
+        version
+      );
+    }
+
+    return Object.prototype.hasOwnProperty.call(platforms[source], name)
+      ? platforms[source][name]
+      : undefined;
+  }
+
+  function addComponents(source, nodes, variables, imported) {
+    nodes.forEach(({ node, local }) => {
+      const componentPlatforms = getPlatforms(source, getName(node));
+      if (componentPlatforms) {
+        reactComponents = reactComponents.concat({
+          node,
+          name: getName(node),
+          platforms: componentPlatforms,
+          runsOn: expandPlatforms(componentPlatforms),
+          variable: variables.find((variable) => variable.name === local),
+          imported,
+        });
+      }
     });
   }
 
-  function reportErrors(components, filename) {
-    const containsAndroidAndIOS = (
-      hasNodeWithName(components, 'IOS')
-      && hasNodeWithName(components, 'Android')
-    );
+  /**
+   * Adds a component used as a member of a module, like `RN.ToastAndroid` or
+   * `require('react-native').ToastAndroid`, reported at its usage.
+   */
+  function addMemberComponent(source, node, name, namespace) {
+    const componentPlatforms = getPlatforms(source, name);
+    if (componentPlatforms) {
+      reactComponents = reactComponents.concat({
+        node,
+        name,
+        platforms: componentPlatforms,
+        runsOn: expandPlatforms(componentPlatforms),
+        usages: [node],
+        namespace: namespace && namespace.variable.name,
+        imported: Boolean(namespace && namespace.imported),
+      });
+    }
+  }
 
-    components.forEach((node) => {
-      const propName = getName(node);
+  function getUsages(variable) {
+    if (!variable) {
+      return [];
+    }
+
+    const references = variable.references
+      .filter((reference) => !reference.init)
+      .map((reference) => reference.identifier);
+    const jsxReferences = jsxUsages
+      .filter((usage) => usage.node.name === variable.name
+        && astHelpers.findVariable(usage.scope, variable.name) === variable)
+      .map((usage) => usage.node)
+      .filter((node) => !references.includes(node));
 
-      if (propName.includes('IOS') && !filename.match(iosPathRegex)) {
-        context.report(node, containsAndroidAndIOS ? conflictMessage : iosMessage);
+    return references.concat(jsxReferences);
+  }
+
+  function addNamespaceComponents(namespace) {
+    getUsages(namespace.variable).forEach((usage) => {
+      const { parent } = usage;
+      if (parent.type === 'MemberExpression' && parent.object === usage) {
+        const name = astHelpers.getStaticPropertyKey(parent.property, parent.computed);
+        addMemberComponent(namespace.source, parent, name, namespace);
+      } else if (parent.type === 'JSXMemberExpression' && parent.object === usage) {
+        addMemberComponent(namespace.source, parent, parent.property.name, namespace);
       }
+    });
+  }
+
+  function runsOn(component, runningPlatforms) {
+    return runningPlatforms.length > 0
+      && runningPlatforms.every((platform) => component.runsOn.includes(platform));
+  }
+
+  /**
+   * Reports the usages of a component guarded for other platforms, and tells
+   * whether all its usages are guarded for its platforms. The usages that
+   * aren't guarded are kept for the suggestions.
+   */
+  function checkGuards(component, filePlatforms) {
+    const usages = component.usages || getUsages(component.variable);
+    const unguardedUsages = [];
+
+    usages.forEach((usage) => {
+      const guardedPlatforms = platformGuards.getGuardedPlatforms(usage, knownPlatforms);
 
-      if (propName.includes('Android') && !filename.match(androidPathRegex)) {
-        context.report(node, containsAndroidAndIOS ? conflictMessage : androidMessage);
+      if (!guardedPlatforms) {
+        unguardedUsages.push(usage);
+      } else if (guardedPlatforms.some((platform) => component.runsOn.includes(platform))) {
+        const runningPlatforms = guardedPlatforms
+          .filter((platform) => filePlatforms.includes(platform));
+        if (!runsOn(component, runningPlatforms)) {
+          unguardedUsages.push(usage);
+        }
+      } else {
+        context.report({
+          node: usage,
+          message: guardMessage,
+          data: { name: component.name, platforms: guardedPlatforms.join(', ') || 'no platform' },
+        });
       }
     });
+
+    Object.assign(component, { unguardedUsages });
+    return usages.length > 0 && unguardedUsages.length === 0;
+  }
+
+  // The JSX element named by a usage, like `<ActionSheetIOS />` or `<RN.ActionSheetIOS />`
+  function getJSXElement(usage) {
+    let name = usage;
+    while (name.parent.type === 'JSXMemberExpression' && name.parent.object === name) {
+      name = name.parent;
+    }
+
+    return name.parent.type === 'JSXOpeningElement' && name.parent.name === name
+      ? name.parent.parent
+      : null;
+  }
+
+  function wrapElement(element, expression, isOperation) {
+    const { parent } = element;
+
+    if (['JSXElement', 'JSXFragment', 'JSXAttribute'].includes(parent.type)) {
+      return `{${expression}}`;
+    }
+    return isOperation && !EXPRESSION_PARENTS.includes(parent.type) ? `(${expression})` : expression;
+  }
+
+  /**
+   * Suggests to only render the JSX elements of a component on its platform,
+   * either behind a `Platform.OS` condition or with `Platform.select()`.
+   */
+  function getSuggestions(component) {
+    const usages = component.unguardedUsages || [];
+    const elements = usages.map(getJSXElement);
+
+    if (component.runsOn.length !== 1 || !elements.length || elements.includes(null)) {
+      return [];
+    }
+
+    const [platform] = component.runsOn;
+    const outerElements = elements.filter((element) => !elements.some((other) => (
+      other !== element
+      && other.range[0] <= element.range[0]
+      && element.range[1] <= other.range[1]
+    )));
+    const scope = astHelpers.getNodeScope(sourceCode, elements[0]);
+    const hasPlatform = Boolean(astHelpers.findVariable(scope, 'Platform'));
+    let platformName = 'Platform';
+
+    if (!hasPlatform && component.namespace) {
+      platformName = `${component.namespace}.Platform`;
+    } else if (!hasPlatform && !component.imported) {
+      return [];
+    }
+
+    const key = /^[A-Za-z_$][\w$]*$/.test(platform) ? platform : `'${platform}'`;
+    const data = { name: component.name, platform };
+    function getFixes(fixer, getExpression, isOperation) {
+      const fixes = outerElements.map((element) => fixer.replaceText(
+        element,
+        wrapElement(element, getExpression(sourceCode.getText(element)), isOperation)
+      ));
+
+      if (platformName === 'Platform' && !hasPlatform) {
+        const importFix = fixers.insertNamedImport(fixer, sourceCode, 'react-native', 'Platform');
+        if (!importFix) {
+          return null;
+        }
+        fixes.push(importFix);
+      }
+
+      return fixes;
+    }
+
+    return [{
+      desc: 'Render {{name}} only when Platform.OS is \'{{platform}}\'',
+      data,
+      fix: (fixer) => getFixes(
+        fixer,
+        (text) => `${platformName}.OS === '${platform}' && ${text}`,
+        true
+      ),
+    }, {
+      desc: 'Render {{name}} with Platform.select()',
+      data,
+      fix: (fixer) => getFixes(
+        fixer,
+        (text) => `${platformName}.select({ ${key}: ${text}, default: null })`,
+        false
+      ),
+    }];
+  }
+
+  function reportErrors(components, filename) {
+    const filePlatforms = getFilePlatforms(filename);
+    const unguardedComponents = components.filter((component) => (
+      runsOn(component, filePlatforms) || !checkGuards(component, filePlatforms)
+    ));
+    const isMixed = unguardedComponents.some((component) => unguardedComponents.some((other) => (
+      !component.runsOn.some((platform) => other.runsOn.includes(platform))
+    )));
+    const mixedPlatforms = Object.keys(platformsOptions).filter((platform) => (
+      unguardedComponents.some((component) => component.platforms.includes(platform))
+    ));
+
+    unguardedComponents.forEach((component) => {
+      if (runsOn(component, filePlatforms)) {
+        return;
+      }
+
+      const message = isMixed
+        ? `${joinLabels(mixedPlatforms.map(getLabel))} components can't be mixed`
+        : `${joinLabels(component.platforms.map(getLabel))} components should be placed in ${component.platforms.join(' or ')} files`;
+      context.report({
+        node: component.node,
+        message,
+        suggest: getSuggestions(component),
+      });
+    });
   }
 
   return {
     VariableDeclarator: function (node) {
-      const destructuring = node.init && node.id && node.id.type === 'ObjectPattern';
-      const statelessDestructuring = destructuring && node.init.name === 'React';
-      if (destructuring && statelessDestructuring) {
-        reactComponents = reactComponents.concat(node.id.properties);
+      const source = node.init && node.init.type === 'Identifier' && node.init.name === 'React'
+        ? 'react-native'
+        : getRequiredModule(node.init);
+
+      if (source === undefined || !node.id) {
+        return;
+      }
+      if (node.id.type === 'ObjectPattern') {
+        const properties = node.id.properties
+          .filter((property) => property.type === 'Property')
+          .map((property) => ({
+            node: property,
+            local: property.value.type === 'Identifier' ? property.value.name : undefined,
+          }));
+        addComponents(source, properties, eslintUtil.getDeclaredVariables(context, node), false);
+      } else if (node.id.type === 'Identifier' && node.init.type === 'CallExpression') {
+        namespaces.push({
+          source,
+          variable: eslintUtil.getDeclaredVariables(context, node)[0],
+          imported: false,
+        });
       }
     },
     ImportDeclaration: function (node) {
-      if (node.source.value === 'react-native') {
-        node.specifiers.forEach((importSpecifier) => {
-          if (importSpecifier.type === 'ImportSpecifier') {
-            reactComponents = reactComponents.concat(importSpecifier.imported);
-          }
+      const specifiers = node.specifiers
+        .filter((importSpecifier) => importSpecifier.type === 'ImportSpecifier')
+        .map((importSpecifier) => ({
+          node: importSpecifier.imported,
+          local: importSpecifier.local.name,
+        }));
+      const variables = eslintUtil.getDeclaredVariables(context, node);
+      addComponents(node.source.value, specifiers, variables, true);
+
+      node.specifiers
+        .filter((importSpecifier) => importSpecifier.type !== 'ImportSpecifier')
+        .forEach((importSpecifier) => {
+          namespaces.push({
+            source: node.source.value,
+            variable: variables.find((variable) => variable.name === importSpecifier.local.name),
+            imported: true,
+          });
         });
+    },
+    MemberExpression: function (node) {
+      const source = getRequiredModule(node.object);
+      if (source !== undefined) {
+        addMemberComponent(
+          source,
+          node,
+          astHelpers.getStaticPropertyKey(node.property, node.computed)
+        );
+      }
+    },
+    JSXOpeningElement: function (node) {
+      let { name } = node;
+      while (name.type === 'JSXMemberExpression') {
+        name = name.object;
+      }
+      if (name.type === 'JSXIdentifier') {
+        jsxUsages.push({ node: name, scope: eslintUtil.getScope(context, node) });
       }
     },
     'Program:exit': function () {
-      const filename = context.getFilename();
+      namespaces.forEach(addNamespaceComponents);
+      const filename = eslintUtil.getFilename(context);
       reportErrors(reactComponents, filename);
     },
   };
@@ -79,16 +420,63 @@ function create(context) {
 
 module.exports = {
   meta: {
+    docs: {
+      description: 'Enforce using platform specific filenames when necessary',
+      category: 'Possible Errors',
+      recommended: 'error',
+      url: '',
+    },
     fixable: 'code',
+    hasSuggestions: true,
     schema: [{
       type: 'object',
       properties: {
+        platforms: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            properties: {
+              pathRegex: {
+                type: 'string',
+              },
+              components: {
+                type: 'object',
+                additionalProperties: {
+                  type: 'array',
+                  items: {
+                    type: 'string',
+                  },
+                },
+              },
+            },
+            additionalProperties: false,
+          },
+        },
         androidPathRegex: {
           type: 'string',
         },
         iosPathRegex: {
           type: 'string',
         },
+        components: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            additionalProperties: {
+              oneOf: [
+                {
+                  type: 'string',
+                },
+                {
+                  type: 'array',
+                  items: {
+                    type: 'string',
+                  },
+                },
+              ],
+            },
+          },
+        },
       },
       additionalProperties: false,
     }],
@@ -5,6 +5,7 @@
 
 'use strict';
 
+const eslintUtil = require('./eslint');
 const pragmaUtil = require('./pragma');
 const isDestructuredFromPragmaImport = require('./isDestructuredFromPragmaImport');
 const jsxUtil = require('./jsx');
@@ -210,7 +211,7 @@ Components.prototype.length = function () {
 };
 
 function componentRule(rule, context) {
-	const sourceCode = context.getSourceCode();
+	const sourceCode = eslintUtil.getSourceCode(context);
 	const components = new Components();
 	const pragma = pragmaUtil.getFromContext(context);
 	const wrapperFunctions = getWrapperFunctions(context, pragma);
@@ -292,29 +293,30 @@ function componentRule(rule, context) {
 		/**
 		 * Get the parent component node from the current scope
 		 *
+		 * @param {ASTNode} node The AST node being traversed.
 		 * @returns {ASTNode} component node, null if we are not in a component
 		 */
-		getParentComponent: function () {
+		getParentComponent: function (node) {
 			return (
-				utils.getParentES6Component() ||
-				utils.getParentES5Component() ||
-				utils.getParentStatelessComponent()
+				utils.getParentES6Component(node) ||
+				utils.getParentES5Component(node) ||
+				utils.getParentStatelessComponent(node)
 			);
 		},
 
 		/**
 		 * Get the parent ES5 component node from the current scope
 		 *
+		 * @param {ASTNode} node The AST node being traversed.
 		 * @returns {ASTNode} component node, null if we are not in a component
 		 */
-		getParentES5Component: function () {
-			// eslint-disable-next-line react/destructuring-assignment
-			let scope = context.getScope();
+		getParentES5Component: function (node) {
+			let scope = eslintUtil.getScope(context, node);
 			while (scope) {
-				const node =
+				const componentNode =
 					scope.block && scope.block.parent && scope.block.parent.parent;
-				if (node && utils.isES5Component(node)) {
-					return node;
+				if (componentNode && utils.isES5Component(componentNode)) {
+					return componentNode;
 				}
 				scope = scope.upper;
 			}
@@ -324,18 +326,19 @@ function componentRule(rule, context) {
 		/**
 		 * Get the parent ES6 component node from the current scope
 		 *
+		 * @param {ASTNode} node The AST node being traversed.
 		 * @returns {ASTNode} component node, null if we are not in a component
 		 */
-		getParentES6Component: function () {
-			let scope = context.getScope();
+		getParentES6Component: function (node) {
+			let scope = eslintUtil.getScope(context, node);
 			while (scope && scope.type !== 'class') {
 				scope = scope.upper;
 			}
-			const node = scope && scope.block;
-			if (!node || !utils.isES6Component(node)) {
+			const componentNode = scope && scope.block;
+			if (!componentNode || !utils.isES6Component(componentNode)) {
 				return null;
 			}
-			return node;
+			return componentNode;
 		},
 
 		getComponentNameFromJSXElement(node) {
@@ -415,10 +418,11 @@ function componentRule(rule, context) {
 		 * Check if variable is destructured from pragma import
 		 *
 		 * @param {string} variable The variable name to check
+		 * @param {ASTNode} node The AST node being traversed.
 		 * @returns {Boolean} True if createElement is destructured from the pragma
 		 */
-		isDestructuredFromPragmaImport(variable) {
-			return isDestructuredFromPragmaImport(variable, context);
+		isDestructuredFromPragmaImport(variable, node) {
+			return isDestructuredFromPragmaImport(variable, context, node);
 		},
 
 		isReturningOnlyNull(ASTNode) {
@@ -473,7 +477,7 @@ function componentRule(rule, context) {
 					(!wrapperFunction.object ||
 						// Functions coming from the current pragma need special handling
 						(wrapperFunction.object === pragma &&
-							this.isDestructuredFromPragmaImport(node.callee.name)))
+							this.isDestructuredFromPragmaImport(node.callee.name, node)))
 				);
 			});
 		},
@@ -496,13 +500,13 @@ function componentRule(rule, context) {
 		/**
 		 * Get the parent stateless component node from the current scope
 		 *
+		 * @param {ASTNode} node The AST node being traversed.
 		 * @returns {ASTNode} component node, null if we are not in a component
 		 */
-		getParentStatelessComponent: function () {
-			let scope = context.getScope();
+		getParentStatelessComponent: function (node) {
+			let scope = eslintUtil.getScope(context, node);
 			while (scope) {
-				const node = scope.block;
-				const statelessComponent = utils.getStatelessComponent(node);
+				const statelessComponent = utils.getStatelessComponent(scope.block);
 				if (statelessComponent) {
 					return statelessComponent;
 				}
@@ -686,7 +690,7 @@ function componentRule(rule, context) {
 				return null;
 			}
 			let variableInScope;
-			const { variables } = context.getScope();
+			const { variables } = eslintUtil.getScope(context, node);
 			for (i = 0, j = variables.length; i < j; i++) {
 				// eslint-disable-line no-plusplus
 				if (variables[i].name === variableName) {
@@ -750,12 +754,12 @@ function componentRule(rule, context) {
 			components.add(node, 2);
 		},
 
-		ClassProperty: function () {
-			const node = utils.getParentComponent();
-			if (!node) {
+		ClassProperty: function (node) {
+			const component = utils.getParentComponent(node);
+			if (!component) {
 				return;
 			}
-			components.add(node, 2);
+			components.add(component, 2);
 		},
 
 		ObjectExpression: function (node) {
@@ -765,49 +769,49 @@ function componentRule(rule, context) {
 			components.add(node, 2);
 		},
 
-		FunctionExpression: function () {
-			const node = utils.getParentComponent();
-			if (!node) {
+		FunctionExpression: function (node) {
+			const component = utils.getParentComponent(node);
+			if (!component) {
 				return;
 			}
-			components.add(node, 1);
+			components.add(component, 1);
 		},
 
-		FunctionDeclaration: function () {
-			const node = utils.getParentComponent();
-			if (!node) {
+		FunctionDeclaration: function (node) {
+			const component = utils.getParentComponent(node);
+			if (!component) {
 				return;
 			}
-			components.add(node, 1);
+			components.add(component, 1);
 		},
 
-		ArrowFunctionExpression: function () {
-			const node = utils.getParentComponent();
-			if (!node) {
+		ArrowFunctionExpression: function (node) {
+			const component = utils.getParentComponent(node);
+			if (!component) {
 				return;
 			}
 
-			if (node.expression && utils.isReturningJSX(node)) {
-				components.add(node, 2);
+			if (component.expression && utils.isReturningJSX(component)) {
+				components.add(component, 2);
 			} else {
-				components.add(node, 1);
+				components.add(component, 1);
 			}
 		},
 
-		ThisExpression: function () {
-			const node = utils.getParentComponent();
-			if (!node || !/Function/.test(node.type)) {
+		ThisExpression: function (node) {
+			const component = utils.getParentComponent(node);
+			if (!component || !/Function/.test(component.type)) {
 				return;
 			}
 			// Ban functions with a ThisExpression
-			components.add(node, 0);
+			components.add(component, 0);
 		},
 
 		ReturnStatement: function (node) {
 			if (!utils.isReturningJSX(node)) {
 				return;
 			}
-			const parentNode = utils.getParentComponent();
+			const parentNode = utils.getParentComponent(node);
 			if (!parentNode) {
 				return;
 			}
@@ -33,19 +33,39 @@ class StylesMap {
   }
 }
 
+function getParserName(parser) {
+  return parser && parser.meta ? `${parser.meta.name}@${parser.meta.version}` : undefined;
+}
+
 /**
  * don't hold full context object in memory, just grab what we need.
+ * Flat configs (ESLint 9) give the parser object in `languageOptions`
+ * instead of a `parserPath`, so only its name is part of the cache key.
+ * Legacy configs have `languageOptions` as well, which don't carry their
+ * parser options.
  */
 function childContext(path, context) {
   const { settings, parserOptions, parserPath } = context;
+  const languageOptions = parserPath ? undefined : context.languageOptions;
+
   return {
+    cacheKey: hashObject({
+      settings,
+      parserOptions: (languageOptions && languageOptions.parserOptions) || parserOptions,
+      parserPath,
+      parser: getParserName(languageOptions && languageOptions.parser),
+      path,
+    }).digest('hex'),
     settings,
     parserOptions,
     parserPath,
+    languageOptions,
     path,
   };
 }
 
+StylesMap.childContext = childContext;
+
 StylesMap.reportErrors = function (context, declaration, errors) {
   const errorsStr = errors
     .map((e) => `${e.message} (${e.lineNumber}:${e.column})`)
@@ -66,10 +86,13 @@ StylesMap.get = function (source, context) {
   return StylesMap.for(childContext(path, context));
 };
 
+StylesMap.getForFile = function (path, context) {
+  return StylesMap.for(childContext(path, context));
+};
+
 StylesMap.for = function (context) {
-  const { path } = context;
+  const { path, cacheKey } = context;
 
-  const cacheKey = hashObject(context).digest('hex');
   let exportMap = exportCache.get(cacheKey);
 
   // return cached ignore
@@ -133,12 +156,33 @@ StylesMap.parse = function (path, content, context) {
           )
         ) {
           const styleSheetName = node.id.name;
-          const styleDeclarations = astHelpers.getStyleDeclarations(callExpressionNode);
+          const styleDeclarations = astHelpers.getStyleDeclarations(
+            callExpressionNode,
+            context.settings
+          );
 
           stylesMap.localStyles[styleSheetName] = styleDeclarations;
         }
       },
 
+      AssignmentExpression(node) {
+        // Case: `module.exports = StyleSheet.create({})`
+        if (
+          astHelpers.getMemberExpressionName(node.left) === 'module.exports'
+          && astHelpers.isStyleSheetDeclaration(node.right, context.settings)
+        ) {
+          stylesMap.localStyles.default = astHelpers.getStyleDeclarations(
+            node.right,
+            context.settings
+          );
+
+          stylesMap.addExportVars({
+            exportName: 'default',
+            localName: 'default',
+          });
+        }
+      },
+
       ExportNamedDeclaration(node) {
         const isVariable = node.declaration && node.declaration.type === 'VariableDeclaration';
 
@@ -179,7 +223,8 @@ StylesMap.parse = function (path, content, context) {
             const styleSheetName = 'default';
 
             stylesMap.localStyles[styleSheetName] = astHelpers.getStyleDeclarations(
-              node.declaration
+              node.declaration,
+              context.settings
             );
 
             stylesMap.addExportVars({
@@ -0,0 +1,386 @@
+const fs = require('fs');
+const nodePath = require('path');
+
+const parse = require('eslint-module-utils/parse').default;
+const { relative: resolveRelative } = require('eslint-module-utils/resolve');
+const isIgnored = require('eslint-module-utils/ignore').default;
+const { hasValidExtension } = require('eslint-module-utils/ignore');
+const unambiguous = require('eslint-module-utils/unambiguous');
+
+const StylesMap = require('./StylesMap');
+const eslintUtil = require('./eslint');
+
+const CACHE_VERSION = 1;
+const ALL_KEYS = '*';
+
+const indexes = new Map();
+
+function isSkippedDirectory(name) {
+  return name.startsWith('.') || name === 'node_modules';
+}
+
+function isIndexedFile(path, context) {
+  return hasValidExtension(path, context) && !isIgnored(path, context);
+}
+
+function walk(dir, context) {
+  let files = [];
+
+  fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+    if (isSkippedDirectory(entry.name)) {
+      return;
+    }
+
+    const path = nodePath.join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      files = files.concat(walk(path, context));
+    } else if (entry.isFile() && isIndexedFile(path, context)) {
+      files.push(path);
+    }
+  });
+
+  return files;
+}
+
+function traverse(node, ancestors, visitorKeys, enter) {
+  enter(node, ancestors);
+
+  const childAncestors = ancestors.concat(node);
+  (visitorKeys[node.type] || []).forEach((fieldName) => {
+    [].concat(node[fieldName]).forEach((child) => {
+      if (child && typeof child.type === 'string') {
+        traverse(child, childAncestors, visitorKeys, enter);
+      }
+    });
+  });
+}
+
+function getMemberKey(node) {
+  if (!node.computed && node.property.type === 'Identifier') {
+    return node.property.name;
+  }
+
+  if (node.property.type === 'Literal' && typeof node.property.value === 'string') {
+    return node.property.value;
+  }
+
+  return null;
+}
+
+function isReference(node, parent) {
+  switch (parent.type) {
+    case 'ImportSpecifier':
+    case 'ImportDefaultSpecifier':
+    case 'ImportNamespaceSpecifier':
+      return false;
+    case 'MemberExpression':
+      return parent.object === node || parent.computed;
+    case 'Property':
+      return parent.value === node;
+    default:
+      return true;
+  }
+}
+
+/**
+ * CollectStyleImports lists, for each binding imported by a file, the keys
+ * that the file references on it.
+ *
+ * @param {string} path - The path of the file.
+ * @param {object} context - The rule context.
+ * @returns {Array<{source: string, exportName: string, keys: Array<string>}>}
+ */
+function collectStyleImports(path, context) {
+  const content = fs.readFileSync(path, { encoding: 'utf8' });
+
+  if (!unambiguous.test(content)) {
+    return [];
+  }
+
+  let result;
+  try {
+    result = parse(path, content, StylesMap.childContext(path, context));
+  } catch (err) {
+    return [];
+  }
+
+  const { ast, visitorKeys } = result;
+  const bindings = new Map();
+  const usages = new Map();
+
+  function addKey(source, exportName, key) {
+    const id = `${source}\0${exportName}`;
+    if (!usages.has(id)) {
+      usages.set(id, { source, exportName, keys: new Set() });
+    }
+    usages.get(id).keys.add(key);
+  }
+
+  ast.body.forEach((node) => {
+    if (
+      node.type !== 'ImportDeclaration'
+      || node.source.value === 'react'
+      || node.source.value === 'react-native'
+    ) {
+      return;
+    }
+
+    const source = resolveRelative(node.source.value, path, context.settings);
+    if (!source) {
+      return;
+    }
+
+    node.specifiers.forEach((specifier) => {
+      bindings.set(specifier.local.name, {
+        source,
+        namespace: specifier.type === 'ImportNamespaceSpecifier',
+        exportName: specifier.imported ? specifier.imported.name : 'default',
+      });
+    });
+  });
+
+  if (bindings.size === 0) {
+    return [];
+  }
+
+  traverse(ast, [], visitorKeys || {}, (node, ancestors) => {
+    const parent = ancestors[ancestors.length - 1];
+    if (node.type !== 'Identifier' || !parent || !bindings.has(node.name)) {
+      return;
+    }
+    if (!isReference(node, parent)) {
+      return;
+    }
+
+    const binding = bindings.get(node.name);
+    const memberKey = parent.type === 'MemberExpression' && parent.object === node
+      ? getMemberKey(parent)
+      : null;
+
+    if (!binding.namespace) {
+      addKey(binding.source, binding.exportName, memberKey || ALL_KEYS);
+    } else if (memberKey) {
+      // Case: `import * as s from './styles'; s.styles.key`
+      const grandParent = ancestors[ancestors.length - 2];
+      const key = grandParent.type === 'MemberExpression' && grandParent.object === parent
+        ? getMemberKey(grandParent)
+        : null;
+
+      addKey(binding.source, memberKey, key || ALL_KEYS);
+    }
+  });
+
+  return Array.from(usages.values()).map((usage) => ({
+    source: usage.source,
+    exportName: usage.exportName,
+    keys: Array.from(usage.keys),
+  }));
+}
+
+/**
+ * StylesUsageIndex is a reverse index of the style keys that the files of a
+ * project reference on the StyleSheets they import:
+ * resolved module path -> exported name -> used keys.
+ */
+class StylesUsageIndex {
+  constructor({ projectRoot, cacheLocation }) {
+    this.projectRoot = projectRoot;
+    this.cacheLocation = cacheLocation;
+    this.files = null;
+  }
+
+  /**
+   * GetUsedKeys returns the keys of an exported StyleSheet that are referenced
+   * by the files importing it. The set contains `*` when an importer uses the
+   * StyleSheet in a way that can't be followed, e.g. passes it around.
+   *
+   * @param {string} path - The resolved path of the module exporting the StyleSheet.
+   * @param {string} exportName - The exported name of the StyleSheet.
+   * @returns {Set<string>}
+   */
+  getUsedKeys(path, exportName) {
+    const keys = new Set();
+
+    Object.keys(this.files).forEach((file) => {
+      this.files[file].imports.forEach((usage) => {
+        if (usage.source === path && usage.exportName === exportName) {
+          usage.keys.forEach((key) => keys.add(key));
+        }
+      });
+    });
+
+    return keys;
+  }
+
+  /**
+   * Update builds the index the first time it is called: it walks the project
+   * and parses the files that changed since the persistent cache was written.
+   * Afterwards, only the linted file is refreshed, when it changed: the other
+   * files are refreshed when they are linted in turn.
+   */
+  update(context) {
+    if (!this.files) {
+      this.build(context);
+      return;
+    }
+
+    const filename = eslintUtil.getFilename(context);
+    if (this.isProjectFile(filename, context) && this.refresh(filename, context)) {
+      this.writeCache();
+    }
+  }
+
+  build(context) {
+    const cachedFiles = this.readCache();
+    let changed = false;
+
+    this.files = {};
+    walk(this.projectRoot, context).forEach((file) => {
+      const { mtimeMs } = fs.statSync(file);
+      const cached = cachedFiles[file];
+
+      if (cached && cached.mtime === mtimeMs) {
+        this.files[file] = cached;
+        return;
+      }
+
+      this.files[file] = { mtime: mtimeMs, imports: collectStyleImports(file, context) };
+      changed = true;
+    });
+
+    if (changed || Object.keys(this.files).length !== Object.keys(cachedFiles).length) {
+      this.writeCache();
+    }
+  }
+
+  /**
+   * Refresh parses a file again when it changed since it was indexed.
+   *
+   * @returns {boolean} Whether the index changed.
+   */
+  refresh(file, context) {
+    const cached = this.files[file];
+
+    if (!fs.existsSync(file)) {
+      delete this.files[file];
+      return Boolean(cached);
+    }
+
+    const { mtimeMs } = fs.statSync(file);
+    if (cached && cached.mtime === mtimeMs) {
+      return false;
+    }
+
+    this.files[file] = { mtime: mtimeMs, imports: collectStyleImports(file, context) };
+    return true;
+  }
+
+  isProjectFile(path, context) {
+    const relativePath = nodePath.relative(this.projectRoot, path);
+
+    return Boolean(relativePath)
+      && !nodePath.isAbsolute(relativePath)
+      && !relativePath.split(nodePath.sep).slice(0, -1).some(isSkippedDirectory)
+      && !relativePath.startsWith('..')
+      && isIndexedFile(path, context);
+  }
+
+  readCache() {
+    if (!this.cacheLocation) {
+      return {};
+    }
+
+    try {
+      const cache = JSON.parse(fs.readFileSync(this.cacheLocation, { encoding: 'utf8' }));
+
+      return cache.version === CACHE_VERSION ? cache.files : {};
+    } catch (err) {
+      return {};
+    }
+  }
+
+  writeCache() {
+    if (!this.cacheLocation) {
+      return;
+    }
+
+    try {
+      fs.mkdirSync(nodePath.dirname(this.cacheLocation), { recursive: true });
+      fs.writeFileSync(
+        this.cacheLocation,
+        JSON.stringify({ version: CACHE_VERSION, files: this.files })
+      );
+    } catch (err) {
+      // the cache is only an optimization
+    }
+  }
+}
+
+StylesUsageIndex.ALL_KEYS = ALL_KEYS;
+
+/**
+ * Returns the up to date usage index of a project.
+ *
+ * @param {object} options - `projectRoot` and `cacheLocation` of the index.
+ * @param {object} context - The rule context.
+ * @returns {StylesUsageIndex}
+ */
+StylesUsageIndex.get = function (options, context) {
+  const projectRoot = nodePath.resolve(options.projectRoot || process.cwd());
+  const cacheLocation = options.cacheLocation === undefined
+    ? nodePath.join(projectRoot, 'node_modules', '.cache', 'eslint-plugin-react-native', 'styles-usage.json')
+    : options.cacheLocation;
+
+  const cacheKey = `${projectRoot}\0${cacheLocation}`;
+  let index = indexes.get(cacheKey);
+
+  if (!index) {
+    index = new StylesUsageIndex({ projectRoot, cacheLocation });
+    indexes.set(cacheKey, index);
+  }
+
+  index.update(context);
+
+  return index;
+};
+
+/**
+ * Returns the keys that the importers of the linted file use on each of the
+ * StyleSheets it exports, keyed by the local name of the StyleSheet.
+ *
+ * @param {object} options - `projectRoot` and `cacheLocation` of the index.
+ * @param {object} context - The rule context.
+ * @returns {object}
+ */
+StylesUsageIndex.getExportedStylesUsage = function (options, context) {
+  const filename = eslintUtil.getFilename(context);
+  if (!fs.existsSync(filename)) {
+    return {};
+  }
+
+  const stylesMap = StylesMap.getForFile(filename, context);
+  const exportNames = stylesMap
+    ? Object.keys(stylesMap.exportsVarsMap)
+      .filter((exportName) => stylesMap.localStyles[stylesMap.exportsVarsMap[exportName]])
+    : [];
+
+  // Only the files exporting StyleSheets need the index
+  if (exportNames.length === 0) {
+    return {};
+  }
+
+  const index = StylesUsageIndex.get(options, context);
+  const result = {};
+
+  exportNames.forEach((exportName) => {
+    const localName = stylesMap.exportsVarsMap[exportName];
+    const keys = index.getUsedKeys(filename, exportName);
+
+    result[localName] = new Set([...(result[localName] || []), ...keys]);
+  });
+
+  return result;
+};
+
+module.exports = StylesUsageIndex;
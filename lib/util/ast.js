@@ -5,6 +5,7 @@
 'use strict';
 
 const estraverse = require('estraverse');
+const eslintUtil = require('./eslint');
 // const pragmaUtil = require('./pragma');
 
 /**
@@ -177,7 +178,7 @@ function getComponentProperties(node) {
  * @return {ASTNode} the first node in the line
  */
 function getFirstNodeInLine(context, node) {
-	const sourceCode = context.getSourceCode();
+	const sourceCode = eslintUtil.getSourceCode(context);
 	let token = node;
 	let lines;
 	do {
@@ -249,7 +250,7 @@ function stripQuotes(string) {
  */
 function getKeyValue(context, node) {
 	if (node.type === 'ObjectTypeProperty') {
-		const tokens = context.getFirstTokens(node, 2);
+		const tokens = eslintUtil.getSourceCode(context).getFirstTokens(node, 2);
 		return tokens[0].value === '+' || tokens[0].value === '-'
 			? tokens[1].value
 			: stripQuotes(tokens[0].value);
@@ -0,0 +1,144 @@
+'use strict';
+
+// The named colors supported by React Native
+const NAMED_COLORS = new Set([
+  'transparent', 'aliceblue', 'antiquewhite', 'aqua', 'aquamarine', 'azure', 'beige',
+  'bisque', 'black', 'blanchedalmond', 'blue', 'blueviolet', 'brown', 'burlywood',
+  'burntsienna', 'cadetblue', 'chartreuse', 'chocolate', 'coral', 'cornflowerblue',
+  'cornsilk', 'crimson', 'cyan', 'darkblue', 'darkcyan', 'darkgoldenrod', 'darkgray',
+  'darkgreen', 'darkgrey', 'darkkhaki', 'darkmagenta', 'darkolivegreen', 'darkorange',
+  'darkorchid', 'darkred', 'darksalmon', 'darkseagreen', 'darkslateblue',
+  'darkslategray', 'darkslategrey', 'darkturquoise', 'darkviolet', 'deeppink',
+  'deepskyblue', 'dimgray', 'dimgrey', 'dodgerblue', 'firebrick', 'floralwhite',
+  'forestgreen', 'fuchsia', 'gainsboro', 'ghostwhite', 'gold', 'goldenrod', 'gray',
+  'green', 'greenyellow', 'grey', 'honeydew', 'hotpink', 'indianred', 'indigo', 'ivory',
+  'khaki', 'lavender', 'lavenderblush', 'lawngreen', 'lemonchiffon', 'lightblue',
+  'lightcoral', 'lightcyan', 'lightgoldenrodyellow', 'lightgray', 'lightgreen',
+  'lightgrey', 'lightpink', 'lightsalmon', 'lightseagreen', 'lightskyblue',
+  'lightslategray', 'lightslategrey', 'lightsteelblue', 'lightyellow', 'lime',
+  'limegreen', 'linen', 'magenta', 'maroon', 'mediumaquamarine', 'mediumblue',
+  'mediumorchid', 'mediumpurple', 'mediumseagreen', 'mediumslateblue',
+  'mediumspringgreen', 'mediumturquoise', 'mediumvioletred', 'midnightblue', 'mintcream',
+  'mistyrose', 'moccasin', 'navajowhite', 'navy', 'oldlace', 'olive', 'olivedrab',
+  'orange', 'orangered', 'orchid', 'palegoldenrod', 'palegreen', 'paleturquoise',
+  'palevioletred', 'papayawhip', 'peachpuff', 'peru', 'pink', 'plum', 'powderblue',
+  'purple', 'rebeccapurple', 'red', 'rosybrown', 'royalblue', 'saddlebrown', 'salmon',
+  'sandybrown', 'seagreen', 'seashell', 'sienna', 'silver', 'skyblue', 'slateblue',
+  'slategray', 'slategrey', 'snow', 'springgreen', 'steelblue', 'tan', 'teal', 'thistle',
+  'tomato', 'turquoise', 'violet', 'wheat', 'white', 'whitesmoke', 'yellow',
+  'yellowgreen',
+]);
+
+const HEX_COLOR = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/;
+const COLOR_FUNCTION = /^(rgba?|hsla?|hwb)\(.*\)$/;
+const COLOR_PREFIX = /^(#|(rgba?|hsla?|hwb)\()/;
+
+/**
+ * IsExplicitColor tells whether a string can only be a color: a hex color or
+ * a `rgb()`, `hsl()` or `hwb()` function. Unlike named colors, these don't
+ * collide with other values like font families.
+ *
+ * @param {string} value - The string.
+ * @returns {boolean}
+ */
+function isExplicitColor(value) {
+  const color = value.trim().toLowerCase();
+
+  return HEX_COLOR.test(color) || COLOR_FUNCTION.test(color);
+}
+
+/**
+ * IsColor tells whether a string is a color React Native understands: a hex
+ * color, a `rgb()`, `hsl()` or `hwb()` function, or a named color.
+ *
+ * @param {string} value - The string.
+ * @returns {boolean}
+ */
+function isColor(value) {
+  const color = value.trim().toLowerCase();
+
+  return isExplicitColor(color) || NAMED_COLORS.has(color);
+}
+
+/**
+ * IsColorPrefix tells whether a string starts like a color, which is how the
+ * static part of a template literal like `rgba(0, 0, 0, ${opacity})` is
+ * recognized.
+ *
+ * @param {string} value - The string.
+ * @returns {boolean}
+ */
+function isColorPrefix(value) {
+  return COLOR_PREFIX.test(value.trim().toLowerCase());
+}
+
+/**
+ * NormalizeColor returns a canonical form of a color string, so that
+ * `#FFF`, `#ffffff` and `rgb(255, 255, 255)` written in different ways can
+ * be compared: lower case, without spaces, with hex shorthands expanded.
+ *
+ * @param {string} color - The color string.
+ * @returns {string}
+ */
+function normalizeColor(color) {
+  const normalized = color.toLowerCase().replace(/\s+/g, '');
+  const shortHex = /^#([0-9a-f]{3,4})$/.exec(normalized);
+
+  if (shortHex) {
+    return '#' + shortHex[1].split('').map((digit) => digit + digit).join('');
+  }
+
+  return normalized;
+}
+
+function getPalettePath(parentPath, key) {
+  if (/^[A-Za-z_$][\w$]*$/.test(key)) {
+    return [parentPath, key].join('.');
+  }
+
+  return /^\d+$/.test(key)
+    ? `${parentPath}[${key}]`
+    : `${parentPath}['${key}']`;
+}
+
+/**
+ * FlattenPalette maps every color of a (nested) palette object to the
+ * expression accessing it, e.g. `{ gray: { 100: '#eee' } }` gives
+ * `'#eeeeee' -> 'colors.gray[100]'`. The first token wins when a color
+ * appears more than once.
+ *
+ * @param {object} palette - The palette object.
+ * @param {string} name - The name under which the palette is accessed.
+ * @returns {Map<string, string>}
+ */
+function flattenPalette(palette, name) {
+  const tokens = new Map();
+
+  function flatten(object, path) {
+    Object.keys(object).forEach((key) => {
+      const value = object[key];
+      const valuePath = getPalettePath(path, key);
+
+      if (typeof value === 'string') {
+        const color = normalizeColor(value);
+        if (!tokens.has(color)) {
+          tokens.set(color, valuePath);
+        }
+      } else if (value && typeof value === 'object') {
+        flatten(value, valuePath);
+      }
+    });
+  }
+
+  flatten(palette, name);
+
+  return tokens;
+}
+
+module.exports = {
+  isColor,
+  isExplicitColor,
+  isColorPrefix,
+  normalizeColor,
+  flattenPalette,
+};
@@ -0,0 +1,63 @@
+'use strict';
+
+/**
+ * Returns the source code of the linted file. `context.sourceCode` replaces
+ * `context.getSourceCode()`, which is removed by ESLint 10.
+ *
+ * @param {RuleContext} context - The rule context.
+ * @returns {SourceCode}
+ */
+function getSourceCode(context) {
+  return context.sourceCode || context.getSourceCode();
+}
+
+/**
+ * Returns the name of the linted file. `context.filename` replaces
+ * `context.getFilename()`, which is removed by ESLint 10.
+ *
+ * @param {RuleContext} context - The rule context.
+ * @returns {string}
+ */
+function getFilename(context) {
+  return context.filename || context.getFilename();
+}
+
+/**
+ * Returns the innermost scope containing a node. ESLint 9 removes
+ * `context.getScope()`, which returns the scope of the node being traversed,
+ * in favor of `sourceCode.getScope(node)`, available since ESLint 8.37.
+ *
+ * @param {RuleContext} context - The rule context.
+ * @param {ASTNode} node - The node being traversed.
+ * @returns {Scope}
+ */
+function getScope(context, node) {
+  const sourceCode = getSourceCode(context);
+
+  return sourceCode.getScope ? sourceCode.getScope(node) : context.getScope();
+}
+
+/**
+ * Returns the variables declared by a node, like the ones of a variable
+ * declarator or of an import declaration. ESLint 9 removes
+ * `context.getDeclaredVariables(node)` in favor of
+ * `sourceCode.getDeclaredVariables(node)`, available since ESLint 8.38.
+ *
+ * @param {RuleContext} context - The rule context.
+ * @param {ASTNode} node - The declaring node.
+ * @returns {Array<Variable>}
+ */
+function getDeclaredVariables(context, node) {
+  const sourceCode = getSourceCode(context);
+
+  return sourceCode.getDeclaredVariables
+    ? sourceCode.getDeclaredVariables(node)
+    : context.getDeclaredVariables(node);
+}
+
+module.exports = {
+  getSourceCode,
+  getFilename,
+  getScope,
+  getDeclaredVariables,
+};
@@ -0,0 +1,120 @@
+const fs = require('fs');
+
+const parse = require('eslint-module-utils/parse').default;
+const unambiguous = require('eslint-module-utils/unambiguous');
+
+const StylesMap = require('./StylesMap');
+
+const namesCache = new Map();
+
+function getPatternNames(pattern) {
+  switch (pattern.type) {
+    case 'Identifier':
+      return [pattern.name];
+    case 'ObjectPattern':
+      return pattern.properties.reduce((names, property) => names.concat(
+        getPatternNames(property.type === 'RestElement' ? property.argument : property.value)
+      ), []);
+    case 'ArrayPattern':
+      return pattern.elements
+        .filter(Boolean)
+        .reduce((names, element) => names.concat(getPatternNames(element)), []);
+    case 'RestElement':
+      return getPatternNames(pattern.argument);
+    case 'AssignmentPattern':
+      return getPatternNames(pattern.left);
+    default:
+      return [];
+  }
+}
+
+function getExportedName(node) {
+  return node.type === 'Identifier' ? node.name : node.value;
+}
+
+/**
+ * GetExportedNames lists the names exported by the top level statements of a
+ * module, `default` standing for its default export. Returns null when the
+ * names can't be known, i.e. the module re-exports all the names of another.
+ *
+ * @param {ASTNode} ast - The Program node of the module.
+ * @returns {Array<{name: string, node: ASTNode}>|null}
+ */
+function getExportedNames(ast) {
+  const result = [];
+
+  for (let index = 0; index < ast.body.length; index += 1) {
+    const node = ast.body[index];
+
+    switch (node.type) {
+      case 'ExportAllDeclaration':
+        if (!node.exported) {
+          return null;
+        }
+        result.push({ name: getExportedName(node.exported), node: node.exported });
+        break;
+      case 'ExportDefaultDeclaration':
+        result.push({ name: 'default', node });
+        break;
+      case 'ExportNamedDeclaration':
+        if (node.declaration && node.declaration.type === 'VariableDeclaration') {
+          node.declaration.declarations.forEach((declarator) => {
+            getPatternNames(declarator.id).forEach((name) => {
+              result.push({ name, node: declarator.id });
+            });
+          });
+        } else if (node.declaration && node.declaration.id) {
+          result.push({ name: node.declaration.id.name, node: node.declaration.id });
+        }
+        node.specifiers.forEach((specifier) => {
+          result.push({ name: getExportedName(specifier.exported), node: specifier.exported });
+        });
+        break;
+      default:
+    }
+  }
+
+  return result;
+}
+
+/**
+ * GetFileExportedNames lists the names exported by a file, or returns null
+ * when they can't be known: the file isn't a module, fails to parse, or
+ * re-exports all the names of another module.
+ *
+ * @param {string} path - The path of the file.
+ * @param {object} context - The rule context.
+ * @returns {Array<string>|null}
+ */
+function getFileExportedNames(path, context) {
+  const fileContext = StylesMap.childContext(path, context);
+  const { cacheKey } = fileContext;
+  const { mtimeMs } = fs.statSync(path);
+  const cached = namesCache.get(cacheKey);
+
+  if (cached && cached.mtime === mtimeMs) {
+    return cached.names;
+  }
+
+  let names = null;
+  const content = fs.readFileSync(path, { encoding: 'utf8' });
+
+  if (unambiguous.test(content)) {
+    try {
+      const { ast } = parse(path, content, fileContext);
+      const exported = getExportedNames(ast);
+
+      names = exported && exported.map(({ name }) => name);
+    } catch (err) {
+      names = null;
+    }
+  }
+
+  namesCache.set(cacheKey, { mtime: mtimeMs, names });
+  return names;
+}
+
+module.exports = {
+  getExportedNames,
+  getFileExportedNames,
+};
@@ -0,0 +1,166 @@
+'use strict';
+
+/**
+ * Returns the range covering a node, the comma following it and the
+ * whitespace separating it from the previous token, so that removing it
+ * leaves the surrounding list formatted. The last item of a list without a
+ * trailing comma takes the comma preceding it instead.
+ *
+ * @param {SourceCode} sourceCode - The source code of the file.
+ * @param {ASTNode} node - A node of a comma separated list.
+ * @returns {Array<number>}
+ */
+function getListItemRange(sourceCode, node) {
+  const nextToken = sourceCode.getTokenAfter(node);
+  let previousToken = sourceCode.getTokenBefore(node, { includeComments: true });
+
+  if (nextToken && nextToken.value === ',') {
+    return [previousToken ? previousToken.range[1] : node.range[0], nextToken.range[1]];
+  }
+  if (previousToken && previousToken.value === ',') {
+    previousToken = sourceCode.getTokenBefore(previousToken, { includeComments: true });
+  }
+
+  return [previousToken ? previousToken.range[1] : node.range[0], node.range[1]];
+}
+
+/**
+ * Returns the range covering a statement and the whitespace separating it
+ * from the previous token.
+ *
+ * @param {SourceCode} sourceCode - The source code of the file.
+ * @param {ASTNode} node - A statement.
+ * @returns {Array<number>}
+ */
+function getStatementRange(sourceCode, node) {
+  const previousToken = sourceCode.getTokenBefore(node, { includeComments: true });
+
+  if (previousToken) {
+    return [previousToken.range[1], node.range[1]];
+  }
+
+  const nextToken = sourceCode.getTokenAfter(node, { includeComments: true });
+
+  return [node.range[0], nextToken ? nextToken.range[0] : node.range[1]];
+}
+
+/**
+ * Tells whether removing a node would remove comments: the ones inside it and
+ * the ones attached before or after it on the same line.
+ *
+ * @param {SourceCode} sourceCode - The source code of the file.
+ * @param {ASTNode} node - The node to remove.
+ * @returns {boolean}
+ */
+function hasAttachedComments(sourceCode, node) {
+  const nextToken = sourceCode.getTokenAfter(node);
+  const lastToken = nextToken && nextToken.value === ',' ? nextToken : node;
+  const trailingComments = sourceCode
+    .getCommentsAfter(lastToken)
+    .filter((comment) => comment.loc.start.line === lastToken.loc.end.line);
+
+  return sourceCode.getCommentsBefore(node).length > 0
+    || sourceCode.getCommentsInside(node).length > 0
+    || sourceCode.getCommentsAfter(node).length > 0
+    || trailingComments.length > 0;
+}
+
+/**
+ * Returns the top level declarator requiring `source`, like
+ * `const { View } = require('react-native')`.
+ *
+ * @param {SourceCode} sourceCode - The source code of the file.
+ * @param {string} source - The required module.
+ * @returns {ASTNode|undefined}
+ */
+function findRequireDeclarator(sourceCode, source) {
+  return sourceCode.ast.body
+    .filter((node) => node.type === 'VariableDeclaration')
+    .reduce((declarators, node) => declarators.concat(node.declarations), [])
+    .find((declarator) => declarator.init
+      && declarator.init.type === 'CallExpression'
+      && declarator.init.callee.type === 'Identifier'
+      && declarator.init.callee.name === 'require'
+      && declarator.init.arguments.length === 1
+      && declarator.init.arguments[0].type === 'Literal'
+      && declarator.init.arguments[0].value === source);
+}
+
+/**
+ * Returns a fix destructuring `name` from the `require()` call of a
+ * declarator, or null when the module isn't destructured.
+ *
+ * @param {RuleFixer} fixer - The fixer.
+ * @param {ASTNode} declarator - The declarator requiring the module.
+ * @param {string} name - The required name.
+ * @returns {Fix|null}
+ */
+function insertRequiredName(fixer, declarator, name) {
+  const pattern = declarator.id;
+
+  if (pattern.type !== 'ObjectPattern') {
+    return null;
+  }
+  if (!pattern.properties.length) {
+    return fixer.replaceText(pattern, `{ ${name} }`);
+  }
+
+  const lastProperty = pattern.properties[pattern.properties.length - 1];
+
+  return lastProperty.type === 'RestElement'
+    ? fixer.insertTextBefore(lastProperty, `${name}, `)
+    : fixer.insertTextAfter(lastProperty, `, ${name}`);
+}
+
+/**
+ * Returns a fix importing `name` from `source`. The specifier is added to the
+ * existing import of `source` when there is one, or destructured from its
+ * `require()` call in CommonJS files, otherwise a new import declaration is
+ * inserted after the last import of the file. Returns null when `source` is
+ * only imported as a namespace or required as a whole.
+ *
+ * @param {RuleFixer} fixer - The fixer.
+ * @param {SourceCode} sourceCode - The source code of the file.
+ * @param {string} source - The imported module.
+ * @param {string} name - The imported name.
+ * @returns {Fix|null}
+ */
+function insertNamedImport(fixer, sourceCode, source, name) {
+  const imports = sourceCode.ast.body.filter((node) => node.type === 'ImportDeclaration');
+  const existing = imports.find((node) => node.source.value === source && node.importKind !== 'type');
+
+  if (existing) {
+    const specifiers = existing.specifiers.filter((specifier) => specifier.type === 'ImportSpecifier');
+
+    if (specifiers.length) {
+      return fixer.insertTextAfter(specifiers[specifiers.length - 1], `, ${name}`);
+    }
+    if (existing.specifiers.some((specifier) => specifier.type === 'ImportNamespaceSpecifier')) {
+      return null;
+    }
+    if (existing.specifiers.length) {
+      return fixer.insertTextAfter(existing.specifiers[0], `, { ${name} }`);
+    }
+  }
+
+  const requireDeclarator = findRequireDeclarator(sourceCode, source);
+
+  if (requireDeclarator) {
+    return insertRequiredName(fixer, requireDeclarator, name);
+  }
+
+  const declaration = `import { ${name} } from '${source}';`;
+
+  if (imports.length) {
+    return fixer.insertTextAfter(imports[imports.length - 1], `\n${declaration}`);
+  }
+
+  return fixer.insertTextBefore(sourceCode.ast.body[0], `${declaration}\n`);
+}
+
+module.exports = {
+  getListItemRange,
+  getStatementRange,
+  hasAttachedComments,
+  insertNamedImport,
+};
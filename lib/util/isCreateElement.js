@@ -25,7 +25,7 @@ module.exports = function isCreateElement(node, context) {
 		node &&
 		node.callee &&
 		node.callee.name === 'createElement' &&
-		isDestructuredFromPragmaImport('createElement', context)
+		isDestructuredFromPragmaImport('createElement', context, node)
 	) {
 		return true;
 	}
@@ -8,11 +8,12 @@ const variableUtil = require('./variable');
  *
  * @param {string} variable The variable name to check
  * @param {Context} context eslint context
+ * @param {ASTNode} node The AST node being traversed.
  * @returns {Boolean} True if createElement is destructured from the pragma
  */
-module.exports = function isDestructuredFromPragmaImport(variable, context) {
+module.exports = function isDestructuredFromPragmaImport(variable, context, node) {
 	const pragma = pragmaUtil.getFromContext(context);
-	const variables = variableUtil.variablesInScope(context);
+	const variables = variableUtil.variablesInScope(context, node);
 	const variableInScope = variableUtil.getVariable(variables, variable);
 	if (variableInScope) {
 		const latestDef = variableUtil.getLatestVariableDefinition(variableInScope);
@@ -0,0 +1,113 @@
+'use strict';
+
+const { isAvailable } = require('./styleSchemas');
+
+/**
+ * The components and APIs of React Native that only exist on one platform,
+ * by the module exporting them. The ones added after React Native 0.50 have
+ * a `since` version.
+ */
+const PLATFORM_COMPONENTS = {
+  'react-native': {
+    ActionSheetIOS: { platform: 'ios' },
+    AlertIOS: { platform: 'ios' },
+    DatePickerIOS: { platform: 'ios' },
+    DynamicColorIOS: { platform: 'ios', since: '0.63' },
+    ImagePickerIOS: { platform: 'ios' },
+    InputAccessoryView: { platform: 'ios', since: '0.55' },
+    MaskedViewIOS: { platform: 'ios' },
+    NavigatorIOS: { platform: 'ios' },
+    PickerIOS: { platform: 'ios' },
+    ProgressViewIOS: { platform: 'ios' },
+    PushNotificationIOS: { platform: 'ios' },
+    SegmentedControlIOS: { platform: 'ios' },
+    SettingsIOS: { platform: 'ios' },
+    SnapshotViewIOS: { platform: 'ios' },
+    StatusBarIOS: { platform: 'ios' },
+    TabBarIOS: { platform: 'ios' },
+    VibrationIOS: { platform: 'ios' },
+
+    BackAndroid: { platform: 'android' },
+    DatePickerAndroid: { platform: 'android' },
+    DrawerLayoutAndroid: { platform: 'android' },
+    PermissionsAndroid: { platform: 'android' },
+    ProgressBarAndroid: { platform: 'android' },
+    TimePickerAndroid: { platform: 'android' },
+    ToastAndroid: { platform: 'android' },
+    ToolbarAndroid: { platform: 'android' },
+    TouchableNativeFeedback: { platform: 'android' },
+    ViewPagerAndroid: { platform: 'android' },
+  },
+};
+
+/**
+ * The platforms of the platform specific files, and the file names matching
+ * each of them. `native` files run on all the platforms but `web`.
+ */
+const DEFAULT_PLATFORMS = {
+  ios: { pathRegex: '\\.ios\\.[j|t]sx?$' },
+  android: { pathRegex: '\\.android\\.[j|t]sx?$' },
+  native: { pathRegex: '\\.native\\.[j|t]sx?$' },
+};
+
+/**
+ * GetPlatformComponents returns the platforms of each platform specific
+ * component of a module, in a version of React Native, merged with the
+ * components configured by the user as `{ [module]: { [name]: platforms } }`,
+ * where `platforms` is the name of a platform or an array of names.
+ *
+ * @param {string} source - The module exporting the components.
+ * @param {object} [components] - The components configured by the user.
+ * @param {string} [version] - The React Native version, the latest by default.
+ * @returns {object}
+ */
+function getPlatformComponents(source, components, version) {
+  const builtIn = PLATFORM_COMPONENTS[source] || {};
+  const configured = (components && components[source]) || {};
+  const result = {};
+
+  Object.keys(builtIn).forEach((name) => {
+    if (isAvailable(builtIn[name].since, version)) {
+      result[name] = [builtIn[name].platform];
+    }
+  });
+
+  Object.keys(configured).forEach((name) => {
+    result[name] = [].concat(configured[name]);
+  });
+
+  return result;
+}
+
+/**
+ * GetPlatformsOptions merges the `platforms`, `iosPathRegex` and
+ * `androidPathRegex` options of a rule with the default platforms.
+ *
+ * @param {object} options - The rule options.
+ * @returns {object} The options of each platform, by name.
+ */
+function getPlatformsOptions(options) {
+  const result = {};
+
+  Object.keys({ ...DEFAULT_PLATFORMS, ...options.platforms }).forEach((name) => {
+    result[name] = {
+      ...DEFAULT_PLATFORMS[name],
+      ...(options.platforms && options.platforms[name]),
+    };
+  });
+  if (options.iosPathRegex) {
+    result.ios.pathRegex = options.iosPathRegex;
+  }
+  if (options.androidPathRegex) {
+    result.android.pathRegex = options.androidPathRegex;
+  }
+
+  return result;
+}
+
+module.exports = {
+  DEFAULT_PLATFORMS,
+  PLATFORM_COMPONENTS,
+  getPlatformComponents,
+  getPlatformsOptions,
+};
@@ -0,0 +1,219 @@
+'use strict';
+
+// `Platform`, or `RN.Platform` when React Native is imported as a namespace
+function isPlatform(node) {
+  if (node.type === 'MemberExpression') {
+    return !node.computed
+      && node.property.type === 'Identifier'
+      && node.property.name === 'Platform';
+  }
+  return node.type === 'Identifier' && node.name === 'Platform';
+}
+
+/**
+ * IsPlatformOS tells whether a node is `Platform.OS`.
+ *
+ * @param {ASTNode} node - The node.
+ * @returns {boolean}
+ */
+function isPlatformOS(node) {
+  return node.type === 'MemberExpression'
+    && !node.computed
+    && isPlatform(node.object)
+    && node.property.type === 'Identifier'
+    && node.property.name === 'OS';
+}
+
+/**
+ * IsPlatformSelectCall tells whether a node is a `Platform.select({...})` call.
+ *
+ * @param {ASTNode} node - The node.
+ * @returns {boolean}
+ */
+function isPlatformSelectCall(node) {
+  return node.type === 'CallExpression'
+    && node.callee.type === 'MemberExpression'
+    && !node.callee.computed
+    && isPlatform(node.callee.object)
+    && node.callee.property.type === 'Identifier'
+    && node.callee.property.name === 'select'
+    && node.arguments.length > 0
+    && node.arguments[0].type === 'ObjectExpression';
+}
+
+function getKeyName(property) {
+  if (property.type !== 'Property' || property.computed) {
+    return undefined;
+  }
+  return property.key.type === 'Identifier' ? property.key.name : property.key.value;
+}
+
+// A null set of platforms stands for all the platforms
+function intersect(a, b) {
+  if (!a || !b) {
+    return a || b;
+  }
+  return a.filter((platform) => b.includes(platform));
+}
+
+function union(a, b) {
+  if (!a || !b) {
+    return null;
+  }
+  return a.concat(b.filter((platform) => !a.includes(platform)));
+}
+
+/**
+ * Returns the platforms on which an expression is truthy, or falsy, or null
+ * when the expression doesn't depend on `Platform.OS`.
+ */
+function getTestPlatforms(test, truthy, platforms) {
+  switch (test.type) {
+    case 'UnaryExpression':
+      return test.operator === '!' ? getTestPlatforms(test.argument, !truthy, platforms) : null;
+    case 'BinaryExpression': {
+      if (!['===', '==', '!==', '!='].includes(test.operator)) {
+        return null;
+      }
+      const [platformNode, valueNode] = isPlatformOS(test.left)
+        ? [test.left, test.right]
+        : [test.right, test.left];
+      if (!isPlatformOS(platformNode) || valueNode.type !== 'Literal' || typeof valueNode.value !== 'string') {
+        return null;
+      }
+      const equal = test.operator.startsWith('=') === truthy;
+      return equal
+        ? [valueNode.value]
+        : platforms.filter((platform) => platform !== valueNode.value);
+    }
+    case 'LogicalExpression': {
+      const left = getTestPlatforms(test.left, truthy, platforms);
+      const right = getTestPlatforms(test.right, truthy, platforms);
+      if (test.operator === '&&') {
+        return truthy ? intersect(left, right) : union(left, right);
+      }
+      if (test.operator === '||') {
+        return truthy ? union(left, right) : intersect(left, right);
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+}
+
+function getSelectedPlatforms(property, platforms) {
+  const name = getKeyName(property);
+  const otherNames = property.parent.properties
+    .filter((other) => other !== property)
+    .map(getKeyName);
+
+  switch (name) {
+    case 'default':
+      return platforms.filter((platform) => !otherNames.includes(platform)
+        && !(otherNames.includes('native') && platform !== 'web'));
+    case 'native':
+      return platforms.filter((platform) => platform !== 'web' && !otherNames.includes(platform));
+    default:
+      return typeof name === 'string' ? [name] : null;
+  }
+}
+
+function isExiting(statement) {
+  switch (statement.type) {
+    case 'ReturnStatement':
+    case 'ThrowStatement':
+      return true;
+    case 'BlockStatement':
+      return statement.body.length > 0 && isExiting(statement.body[statement.body.length - 1]);
+    case 'IfStatement':
+      return Boolean(statement.alternate)
+        && isExiting(statement.consequent)
+        && isExiting(statement.alternate);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Returns the platforms left after the early exits preceding a statement of a
+ * block, like `if (Platform.OS !== 'ios') return null;`.
+ */
+function getEarlyExitPlatforms(statements, statement, platforms) {
+  if (statement.type === 'FunctionDeclaration') {
+    return null;
+  }
+
+  return statements
+    .slice(0, statements.indexOf(statement))
+    .filter((previous) => previous.type === 'IfStatement'
+      && !previous.alternate
+      && isExiting(previous.consequent))
+    .reduce((result, previous) => intersect(
+      result,
+      getTestPlatforms(previous.test, false, platforms)
+    ), null);
+}
+
+/**
+ * GetGuardedPlatforms returns the platforms on which a node can run according
+ * to the `Platform.OS` conditions and the `Platform.select()` calls around
+ * it, or null when it isn't guarded.
+ *
+ * @param {ASTNode} node - The node.
+ * @param {Array<string>} platforms - The known platforms.
+ * @returns {Array<string>|null}
+ */
+function getGuardedPlatforms(node, platforms) {
+  let result = null;
+
+  for (let child = node; child.parent; child = child.parent) {
+    const { parent } = child;
+    let guard = null;
+
+    switch (parent.type) {
+      case 'IfStatement':
+      case 'ConditionalExpression':
+        if (child === parent.consequent) {
+          guard = getTestPlatforms(parent.test, true, platforms);
+        } else if (child === parent.alternate) {
+          guard = getTestPlatforms(parent.test, false, platforms);
+        }
+        break;
+      case 'LogicalExpression':
+        if (child === parent.right && parent.operator !== '??') {
+          guard = getTestPlatforms(parent.left, parent.operator === '&&', platforms);
+        }
+        break;
+      case 'Property':
+        if (
+          child === parent.value
+          && parent.parent.type === 'ObjectExpression'
+          && parent.parent.parent
+          && isPlatformSelectCall(parent.parent.parent)
+          && parent.parent.parent.arguments[0] === parent.parent
+        ) {
+          guard = getSelectedPlatforms(parent, platforms);
+        }
+        break;
+      case 'Program':
+      case 'BlockStatement':
+        guard = getEarlyExitPlatforms(parent.body, child, platforms);
+        break;
+      case 'SwitchCase':
+        guard = getEarlyExitPlatforms(parent.consequent, child, platforms);
+        break;
+      default:
+    }
+
+    result = intersect(result, guard);
+  }
+
+  return result;
+}
+
+module.exports = {
+  isPlatformOS,
+  isPlatformSelectCall,
+  getGuardedPlatforms,
+};
@@ -5,6 +5,8 @@
 
 'use strict';
 
+const eslintUtil = require('./eslint');
+
 const JSX_ANNOTATION_REGEX = /@jsx\s+([^\s]+)/;
 // Does not check for reserved keywords or unicode characters
 const JS_IDENTIFIER_REGEX = /^[_$a-zA-Z][_$a-zA-Z0-9]*$/;
@@ -38,7 +40,7 @@ function getFragmentFromContext(context) {
 function getFromContext(context) {
 	let pragma = 'React';
 
-	const sourceCode = context.getSourceCode();
+	const sourceCode = eslintUtil.getSourceCode(context);
 	const pragmaNode = sourceCode
 		.getAllComments()
 		.find((node) => JSX_ANNOTATION_REGEX.test(node.value));
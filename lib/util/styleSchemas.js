@@ -0,0 +1,342 @@
+'use strict';
+
+const colors = require('./colors');
+
+/**
+ * The style properties supported by the host components of React Native,
+ * grouped as in the React Native type definitions. Each property lists the
+ * kinds of values it accepts:
+ *
+ * - `number`, `string`, `boolean`, `array`, `object`: any value of that type,
+ * - `percentage`: a string like `'50%'`,
+ * - `auto`: the `'auto'` string,
+ * - `color`: a color string,
+ * - `{ enum: [...] }`: one of the given strings.
+ *
+ * Properties and kinds of values added after React Native 0.60 have a `since`
+ * version.
+ */
+
+const DIMENSION = ['number', 'percentage', 'auto'];
+const LENGTH = ['number', 'percentage'];
+const COLOR = ['color'];
+const NUMBER = ['number'];
+
+const FONT_WEIGHTS = ['normal', 'bold', '100', '200', '300', '400', '500', '600', '700', '800', '900'];
+
+function enumOf(...values) {
+  return { enum: values };
+}
+
+function since(version, types) {
+  return { since: version, types };
+}
+
+const FLEX_ALIGN = ['flex-start', 'flex-end', 'center', 'stretch', 'baseline'];
+const FLEX_JUSTIFY = ['flex-start', 'flex-end', 'center', 'space-between', 'space-around', 'space-evenly'];
+
+const LAYOUT = {
+  alignContent: [enumOf('flex-start', 'flex-end', 'center', 'stretch', 'space-between', 'space-around')],
+  alignItems: [enumOf(...FLEX_ALIGN)],
+  alignSelf: [enumOf('auto', ...FLEX_ALIGN)],
+  aspectRatio: ['number', { type: 'string', since: '0.71' }],
+  borderBottomWidth: NUMBER,
+  borderEndWidth: NUMBER,
+  borderLeftWidth: NUMBER,
+  borderRightWidth: NUMBER,
+  borderStartWidth: NUMBER,
+  borderTopWidth: NUMBER,
+  borderWidth: NUMBER,
+  bottom: DIMENSION,
+  columnGap: since('0.71', NUMBER),
+  direction: [enumOf('inherit', 'ltr', 'rtl')],
+  display: [enumOf('none', 'flex'), { type: enumOf('contents'), since: '0.77' }],
+  end: DIMENSION,
+  flex: NUMBER,
+  flexBasis: DIMENSION,
+  flexDirection: [enumOf('row', 'column', 'row-reverse', 'column-reverse')],
+  flexGrow: NUMBER,
+  flexShrink: NUMBER,
+  flexWrap: [enumOf('wrap', 'nowrap', 'wrap-reverse')],
+  gap: since('0.71', NUMBER),
+  height: DIMENSION,
+  inset: since('0.71', DIMENSION),
+  insetBlock: since('0.71', DIMENSION),
+  insetBlockEnd: since('0.71', DIMENSION),
+  insetBlockStart: since('0.71', DIMENSION),
+  insetInline: since('0.71', DIMENSION),
+  insetInlineEnd: since('0.71', DIMENSION),
+  insetInlineStart: since('0.71', DIMENSION),
+  justifyContent: [enumOf(...FLEX_JUSTIFY)],
+  left: DIMENSION,
+  margin: DIMENSION,
+  marginBlock: since('0.71', DIMENSION),
+  marginBlockEnd: since('0.71', DIMENSION),
+  marginBlockStart: since('0.71', DIMENSION),
+  marginBottom: DIMENSION,
+  marginEnd: DIMENSION,
+  marginHorizontal: DIMENSION,
+  marginInline: since('0.71', DIMENSION),
+  marginInlineEnd: since('0.71', DIMENSION),
+  marginInlineStart: since('0.71', DIMENSION),
+  marginLeft: DIMENSION,
+  marginRight: DIMENSION,
+  marginStart: DIMENSION,
+  marginTop: DIMENSION,
+  marginVertical: DIMENSION,
+  maxHeight: LENGTH,
+  maxWidth: LENGTH,
+  minHeight: LENGTH,
+  minWidth: LENGTH,
+  overflow: [enumOf('visible', 'hidden', 'scroll')],
+  padding: LENGTH,
+  paddingBlock: since('0.71', LENGTH),
+  paddingBlockEnd: since('0.71', LENGTH),
+  paddingBlockStart: since('0.71', LENGTH),
+  paddingBottom: LENGTH,
+  paddingEnd: LENGTH,
+  paddingHorizontal: LENGTH,
+  paddingInline: since('0.71', LENGTH),
+  paddingInlineEnd: since('0.71', LENGTH),
+  paddingInlineStart: since('0.71', LENGTH),
+  paddingLeft: LENGTH,
+  paddingRight: LENGTH,
+  paddingStart: LENGTH,
+  paddingTop: LENGTH,
+  paddingVertical: LENGTH,
+  position: [enumOf('absolute', 'relative'), { type: enumOf('static'), since: '0.77' }],
+  right: DIMENSION,
+  rowGap: since('0.71', NUMBER),
+  start: DIMENSION,
+  top: DIMENSION,
+  width: DIMENSION,
+  zIndex: NUMBER,
+};
+
+const SHADOW = {
+  shadowColor: COLOR,
+  shadowOffset: ['object'],
+  shadowOpacity: NUMBER,
+  shadowRadius: NUMBER,
+};
+
+const TRANSFORM = {
+  transform: ['array', { type: 'string', since: '0.71' }],
+  transformOrigin: since('0.74', ['array', 'string']),
+};
+
+const BORDER_STYLE = enumOf('solid', 'dotted', 'dashed');
+
+const VIEW = {
+  backfaceVisibility: [enumOf('visible', 'hidden')],
+  backgroundColor: COLOR,
+  borderBlockColor: since('0.71', COLOR),
+  borderBlockEndColor: since('0.71', COLOR),
+  borderBlockStartColor: since('0.71', COLOR),
+  borderBottomColor: COLOR,
+  borderBottomEndRadius: NUMBER,
+  borderBottomLeftRadius: NUMBER,
+  borderBottomRightRadius: NUMBER,
+  borderBottomStartRadius: NUMBER,
+  borderColor: COLOR,
+  borderCurve: since('0.71', [enumOf('circular', 'continuous')]),
+  borderEndColor: COLOR,
+  borderEndEndRadius: since('0.71', NUMBER),
+  borderEndStartRadius: since('0.71', NUMBER),
+  borderLeftColor: COLOR,
+  borderRadius: NUMBER,
+  borderRightColor: COLOR,
+  borderStartColor: COLOR,
+  borderStartEndRadius: since('0.71', NUMBER),
+  borderStartStartRadius: since('0.71', NUMBER),
+  borderStyle: [BORDER_STYLE],
+  borderTopColor: COLOR,
+  borderTopEndRadius: NUMBER,
+  borderTopLeftRadius: NUMBER,
+  borderTopRightRadius: NUMBER,
+  borderTopStartRadius: NUMBER,
+  boxShadow: since('0.76', ['string', 'array']),
+  cursor: since('0.75', [enumOf('auto', 'pointer')]),
+  elevation: NUMBER,
+  filter: since('0.76', ['string', 'array']),
+  isolation: since('0.77', [enumOf('auto', 'isolate')]),
+  mixBlendMode: since('0.77', ['string']),
+  opacity: NUMBER,
+  outlineColor: since('0.77', COLOR),
+  outlineOffset: since('0.77', NUMBER),
+  outlineStyle: since('0.77', [BORDER_STYLE]),
+  outlineWidth: since('0.77', NUMBER),
+  pointerEvents: since('0.71', [enumOf('auto', 'none', 'box-none', 'box-only')]),
+};
+
+const TEXT = {
+  color: COLOR,
+  fontFamily: ['string'],
+  fontSize: NUMBER,
+  fontStyle: [enumOf('normal', 'italic')],
+  fontVariant: ['array'],
+  fontWeight: [enumOf(...FONT_WEIGHTS), { type: 'number', since: '0.71' }],
+  includeFontPadding: ['boolean'],
+  letterSpacing: NUMBER,
+  lineHeight: NUMBER,
+  textAlign: [enumOf('auto', 'left', 'right', 'center', 'justify')],
+  textAlignVertical: [enumOf('auto', 'top', 'bottom', 'center')],
+  textDecorationColor: COLOR,
+  textDecorationLine: [enumOf('none', 'underline', 'line-through', 'underline line-through')],
+  textDecorationStyle: [enumOf('solid', 'double', 'dotted', 'dashed')],
+  textShadowColor: COLOR,
+  textShadowOffset: ['object'],
+  textShadowRadius: NUMBER,
+  textTransform: [enumOf('none', 'capitalize', 'uppercase', 'lowercase')],
+  userSelect: since('0.71', [enumOf('auto', 'none', 'text', 'contain', 'all')]),
+  verticalAlign: since('0.71', [enumOf('auto', 'top', 'bottom', 'middle')]),
+  writingDirection: [enumOf('auto', 'ltr', 'rtl')],
+};
+
+const IMAGE = {
+  objectFit: since('0.71', [enumOf('cover', 'contain', 'fill', 'scale-down')]),
+  overlayColor: COLOR,
+  resizeMode: [enumOf('cover', 'contain', 'stretch', 'repeat', 'center')],
+  tintColor: COLOR,
+};
+
+const SCHEMAS = {
+  View: [LAYOUT, SHADOW, TRANSFORM, VIEW],
+  Text: [LAYOUT, SHADOW, TRANSFORM, VIEW, TEXT],
+  Image: [LAYOUT, SHADOW, TRANSFORM, VIEW, IMAGE],
+};
+
+const COMPONENTS = Object.keys(SCHEMAS);
+
+function parseVersion(version) {
+  const [major, minor] = String(version).split('.').map((part) => parseInt(part, 10) || 0);
+  return major * 1000 + (minor || 0);
+}
+
+function isAvailable(sinceVersion, version) {
+  return !sinceVersion || !version || parseVersion(sinceVersion) <= parseVersion(version);
+}
+
+function normalize(spec) {
+  return Array.isArray(spec) ? { types: spec } : spec;
+}
+
+/**
+ * GetStyleProperty returns the definition of a style property for the given
+ * components, merged across them: `{components, since, types}`, or null
+ * when none of them supports the property in any version.
+ *
+ * @param {string} name - The name of the property.
+ * @param {Array<string>} [components] - The components, all of them by default.
+ * @returns {object|null}
+ */
+function getStyleProperty(name, components) {
+  const supporting = (components || COMPONENTS).filter((component) => SCHEMAS[component]
+    .some((group) => Object.prototype.hasOwnProperty.call(group, name)));
+
+  if (!supporting.length) {
+    return null;
+  }
+
+  const group = SCHEMAS[supporting[0]]
+    .find((schema) => Object.prototype.hasOwnProperty.call(schema, name));
+
+  return { components: supporting, ...normalize(group[name]) };
+}
+
+/**
+ * GetStylePropertyNames lists the style properties supported by the given
+ * components in a version of React Native.
+ *
+ * @param {Array<string>} [components] - The components, all of them by default.
+ * @param {string} [version] - The React Native version, the latest by default.
+ * @returns {Array<string>}
+ */
+function getStylePropertyNames(components, version) {
+  const names = new Set();
+
+  (components || COMPONENTS).forEach((component) => {
+    SCHEMAS[component].forEach((group) => {
+      Object.keys(group).forEach((name) => {
+        if (isAvailable(normalize(group[name]).since, version)) {
+          names.add(name);
+        }
+      });
+    });
+  });
+
+  return Array.from(names);
+}
+
+function acceptsType(type, kind, value) {
+  if (type.enum) {
+    return kind === 'string' && type.enum.includes(value);
+  }
+
+  switch (type) {
+    case 'percentage':
+      return kind === 'string' && /^-?\d+(\.\d+)?%$/.test(value);
+    case 'auto':
+      return value === 'auto';
+    case 'color':
+      return kind === 'string' && colors.isColor(value);
+    default:
+      return kind === type;
+  }
+}
+
+/**
+ * AcceptsValue tells whether a style property accepts a value in a version
+ * of React Native.
+ *
+ * @param {object} property - The definition returned by getStyleProperty.
+ * @param {string} kind - The type of the value: number, string, boolean, array or object.
+ * @param {*} value - The value, for numbers and strings.
+ * @param {string} [version] - The React Native version, the latest by default.
+ * @returns {boolean}
+ */
+function acceptsValue(property, kind, value, version) {
+  return property.types.some((type) => {
+    if (type.type) {
+      return isAvailable(type.since, version) && acceptsType(type.type, kind, value);
+    }
+
+    return acceptsType(type, kind, value);
+  });
+}
+
+/**
+ * DescribeTypes describes the values a style property accepts in a version of
+ * React Native, e.g. `a number, a percentage or 'auto'`.
+ *
+ * @param {object} property - The definition returned by getStyleProperty.
+ * @param {string} [version] - The React Native version, the latest by default.
+ * @returns {string}
+ */
+function describeTypes(property, version) {
+  const descriptions = property.types
+    .filter((type) => !type.type || isAvailable(type.since, version))
+    .map((type) => {
+      const actualType = type.type || type;
+      if (actualType.enum) {
+        return actualType.enum.map((value) => `'${value}'`).join(', ');
+      }
+      if (actualType === 'auto') {
+        return "'auto'";
+      }
+      return `${actualType === 'array' || actualType === 'object' ? 'an' : 'a'} ${actualType}`;
+    });
+
+  return descriptions.length > 1
+    ? `${descriptions.slice(0, -1).join(', ')} or ${descriptions[descriptions.length - 1]}`
+    : descriptions[0];
+}
+
+module.exports = {
+  COMPONENTS,
+  getStyleProperty,
+  getStylePropertyNames,
+  acceptsValue,
+  describeTypes,
+  isAvailable,
+};
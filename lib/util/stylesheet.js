@@ -1,5 +1,7 @@
 'use strict';
 
+const colors = require('./colors');
+
 /**
  * StyleSheets represents the StyleSheets found in the source code.
  * @constructor
@@ -20,20 +22,29 @@ StyleSheets.prototype.add = function (styleSheetName, properties) {
 
 /**
  * MarkAsUsed marks a rule as used in our source code by removing it from the
- * specified StyleSheet rules.
+ * specified StyleSheet rules. The names are given apart, since a rule name
+ * can contain a dot, like `styles['a.b']`.
  *
- * @param {string} fullyQualifiedName - The fully qualified name of the rule.
- * for example 'styles.text'
+ * @param {string} styleSheetName - The name of the StyleSheet.
+ * @param {string} styleSheetProperty - The name of the rule.
  */
-StyleSheets.prototype.markAsUsed = function (fullyQualifiedName) {
-  const nameSplit = fullyQualifiedName.split('.');
-  const styleSheetName = nameSplit[0];
-  const styleSheetProperty = nameSplit[1];
-
+StyleSheets.prototype.markAsUsed = function (styleSheetName, styleSheetProperty) {
   if (this.styleSheets[styleSheetName]) {
     this.styleSheets[styleSheetName] = this
       .styleSheets[styleSheetName]
-      .filter((property) => property.key.name !== styleSheetProperty);
+      // eslint-disable-next-line no-use-before-define
+      .filter((property) => astHelpers.getStylePropertyIdentifier(property) !== styleSheetProperty);
+  }
+};
+
+/**
+ * MarkAllAsUsed marks every rule of the specified StyleSheet as used.
+ *
+ * @param {string} styleSheetName - The name of the StyleSheet.
+ */
+StyleSheets.prototype.markAllAsUsed = function (styleSheetName) {
+  if (this.styleSheets[styleSheetName]) {
+    this.styleSheets[styleSheetName] = [];
   }
 };
 
@@ -92,6 +103,11 @@ const getSourceCode = (node) => currentContent
 
 const getStyleSheetObjectNames = (settings) => settings['react-native/style-sheet-object-names'] || ['StyleSheet'];
 
+const getStyleFactories = (settings) => (settings['react-native/style-factories'] || [])
+  .map((factory) => (typeof factory === 'string' ? { callee: factory } : factory));
+
+const isFunction = (node) => node.type === 'ArrowFunctionExpression' || node.type === 'FunctionExpression';
+
 const astHelpers = {
   containsStyleSheetObject: function (node, objectNames) {
     return Boolean(
@@ -113,44 +129,224 @@ const astHelpers = {
     );
   },
 
-  isStyleSheetDeclaration: function (node, settings) {
-    const objectNames = getStyleSheetObjectNames(settings);
+  /**
+   * GetStyleFactory returns the `react-native/style-factories` entry matching
+   * the callee of a call, e.g. `makeStyles` or `tamagui.styled`.
+   *
+   * @param {ASTNode} node - The call.
+   * @param {object} settings - The shared settings.
+   * @returns {object|undefined}
+   */
+  getStyleFactory: function (node, settings) {
+    if (!node || node.type !== 'CallExpression' || !settings) {
+      return;
+    }
+
+    const calleeName = astHelpers.getMemberExpressionName(node.callee);
+
+    return getStyleFactories(settings).find((factory) => factory.callee === calleeName);
+  },
 
+  isStyleSheetCreateCall: function (node, settings) {
     return Boolean(
-      astHelpers.containsStyleSheetObject(node, objectNames)
+      astHelpers.containsStyleSheetObject(node, getStyleSheetObjectNames(settings))
       && astHelpers.containsCreateCall(node)
     );
   },
 
+  isStyleSheetDeclaration: function (node, settings) {
+    return Boolean(
+      astHelpers.isStyleSheetCreateCall(node, settings)
+      || astHelpers.getStyleFactory(node, settings)
+    );
+  },
+
+  getReturnedObject: function (node) {
+    if (node.body.type === 'ObjectExpression') {
+      return node.body;
+    }
+
+    if (node.body.type === 'BlockStatement') {
+      const returnStatement = node.body.body
+        .filter((statement) => statement.type === 'ReturnStatement')
+        .pop();
+
+      return returnStatement && returnStatement.argument;
+    }
+  },
+
+  /**
+   * GetStyleSheetObject returns the object holding the styles of a StyleSheet
+   * declaration: the first argument of `StyleSheet.create`, or the configured
+   * argument of a style factory, looking into the object it returns when the
+   * argument is a function, like `makeStyles((theme) => ({...}))`.
+   *
+   * @param {ASTNode} node - The StyleSheet declaration.
+   * @param {object} settings - The shared settings.
+   * @returns {ASTNode|undefined}
+   */
+  getStyleSheetObject: function (node, settings) {
+    if (!node || node.type !== 'CallExpression' || !node.arguments) {
+      return;
+    }
+
+    const factory = astHelpers.getStyleFactory(node, settings) || {};
+    const argument = node.arguments[factory.argument || 0];
+
+    if (argument && isFunction(argument) && factory.callee && factory.callback !== false) {
+      const object = astHelpers.getReturnedObject(argument);
+      return object && object.properties ? object : undefined;
+    }
+
+    if (argument && argument.properties && factory.callback !== true) {
+      return argument;
+    }
+  },
+
+  /**
+   * GetStyleSheetName returns the name under which a StyleSheet declaration is
+   * referenced: the variable (`styles`) or member (`this.styles`) it is
+   * assigned to, `default` when it is the default export of the module, or
+   * the name of the function returning it, e.g. `makeStyles` for
+   * `const makeStyles = (theme) => StyleSheet.create({...})`.
+   *
+   * @param {ASTNode} node - The StyleSheet declaration.
+   * @returns {string|undefined}
+   */
   getStyleSheetName: function (node) {
-    if (node && node.parent && node.parent.id) {
+    const { parent } = node || {};
+    if (!parent) {
+      return;
+    }
+
+    switch (parent.type) {
+      case 'VariableDeclarator':
+        return parent.id.type === 'Identifier' ? parent.id.name : undefined;
+      case 'AssignmentExpression': {
+        const name = parent.right === node
+          ? astHelpers.getMemberExpressionName(parent.left)
+          : undefined;
+        return name === 'module.exports' ? 'default' : name;
+      }
+      case 'ExportDefaultDeclaration':
+        return 'default';
+      case 'ClassProperty':
+      case 'PropertyDefinition':
+        if (!parent.static && !parent.computed && parent.key.type === 'Identifier') {
+          return ['this', parent.key.name].join('.');
+        }
+        return;
+      case 'ArrowFunctionExpression':
+        return parent.body === node ? astHelpers.getStyleFunctionName(parent) : undefined;
+      case 'ReturnStatement':
+        return astHelpers.getStyleFunctionName(astHelpers.getEnclosingFunction(parent));
+      default:
+    }
+  },
+
+  getEnclosingFunction: function (node) {
+    let current = node.parent;
+    while (current && !/Function/.test(current.type)) {
+      current = current.parent;
+    }
+    return current;
+  },
+
+  isMemoCall: function (node) {
+    const calleeName = node && node.type === 'CallExpression'
+      ? astHelpers.getMemberExpressionName(node.callee)
+      : undefined;
+
+    return Boolean(calleeName && /(^|\.)useMemo$/.test(calleeName));
+  },
+
+  /**
+   * GetStyleFunctionName returns the name of a function returning a StyleSheet:
+   * the variable holding its memoized result when it is passed to `useMemo`,
+   * its own name otherwise.
+   *
+   * @param {ASTNode} node - The function.
+   * @returns {string|undefined}
+   */
+  getStyleFunctionName: function (node) {
+    if (!node) {
+      return;
+    }
+
+    if (astHelpers.isMemoCall(node.parent) && node.parent.arguments[0] === node) {
+      return astHelpers.getStyleSheetName(node.parent);
+    }
+
+    if (node.id) {
+      return node.id.name;
+    }
+
+    if (node.parent.type === 'VariableDeclarator' && node.parent.id.type === 'Identifier') {
       return node.parent.id.name;
     }
   },
 
-  getStyleDeclarations: function (node) {
-    if (
-      node
-      && node.type === 'CallExpression'
-      && node.arguments
-      && node.arguments[0]
-      && node.arguments[0].properties
-    ) {
-      return node.arguments[0].properties.filter((property) => property.type === 'Property');
+  /**
+   * GetStyleFactoryCallName returns the name of the function called to get a
+   * StyleSheet, looking through `useMemo`: `makeStyles` for both
+   * `makeStyles(theme)` and `useMemo(() => makeStyles(theme), [theme])`.
+   *
+   * @param {ASTNode} node - The expression initializing a variable.
+   * @returns {string|undefined}
+   */
+  getStyleFactoryCallName: function (node) {
+    if (!node || node.type !== 'CallExpression') {
+      return;
+    }
+
+    if (astHelpers.isMemoCall(node)) {
+      const callback = node.arguments[0];
+      if (callback && callback.type === 'ArrowFunctionExpression') {
+        return astHelpers.getStyleFactoryCallName(callback.body);
+      }
+      return;
+    }
+
+    if (node.callee.type === 'Identifier') {
+      return node.callee.name;
+    }
+  },
+
+  getMemberExpressionName: function (node) {
+    if (!node) {
+      return;
+    }
+
+    switch (node.type) {
+      case 'Identifier':
+        return node.name;
+      case 'ThisExpression':
+        return 'this';
+      case 'MemberExpression': {
+        const objectName = astHelpers.getMemberExpressionName(node.object);
+        return objectName && !node.computed && node.property.type === 'Identifier'
+          ? [objectName, node.property.name].join('.')
+          : undefined;
+      }
+      default:
+    }
+  },
+
+  getStyleDeclarations: function (node, settings) {
+    const object = astHelpers.getStyleSheetObject(node, settings);
+
+    if (object) {
+      return object.properties.filter((property) => property.type === 'Property');
     }
 
     return [];
   },
 
-  getStyleDeclarationsChunks: function (node) {
-    if (
-      node
-      && node.type === 'CallExpression'
-      && node.arguments
-      && node.arguments[0]
-      && node.arguments[0].properties
-    ) {
-      const { properties } = node.arguments[0];
+  getStyleDeclarationsChunks: function (node, settings) {
+    const object = astHelpers.getStyleSheetObject(node, settings);
+
+    if (object) {
+      const { properties } = object;
 
       const result = [];
       let chunk = [];
@@ -221,6 +417,23 @@ const astHelpers = {
     }
   },
 
+  /**
+   * GetJSXElementName returns the name of a JSX element, e.g. `Animated.View`.
+   *
+   * @param {ASTNode} node - The name of the JSXOpeningElement.
+   * @returns {string}
+   */
+  getJSXElementName: function (node) {
+    switch (node.type) {
+      case 'JSXIdentifier':
+        return node.name;
+      case 'JSXMemberExpression':
+        return `${astHelpers.getJSXElementName(node.object)}.${node.property.name}`;
+      default:
+        return '';
+    }
+  },
+
   isStyleAttribute: function (node) {
     return Boolean(
       node.type === 'JSXAttribute'
@@ -230,7 +443,18 @@ const astHelpers = {
     );
   },
 
-  collectStyleObjectExpressions: function (node, context) {
+  /**
+   * CollectStyleObjectExpressions collects the style objects of a style
+   * attribute containing literal values. `resolve`, when given, maps the
+   * other expressions, like identifiers or spread arguments, to the object
+   * they hold, or to null.
+   *
+   * @param {ASTNode} node - The value of the attribute.
+   * @param {object} context - The rule context.
+   * @param {Function} [resolve] - The resolver.
+   * @returns {Array}
+   */
+  collectStyleObjectExpressions: function (node, context, resolve) {
     currentContent = context;
     if (astHelpers.hasArrayOfStyleReferences(node)) {
       const styleReferenceContainers = node
@@ -238,10 +462,11 @@ const astHelpers = {
         .elements;
 
       return astHelpers.collectStyleObjectExpressionFromContainers(
-        styleReferenceContainers
+        styleReferenceContainers,
+        resolve
       );
     } if (node && node.expression) {
-      return astHelpers.getStyleObjectExpressionFromNode(node.expression);
+      return astHelpers.getStyleObjectExpressionFromNode(node.expression, resolve);
     }
 
     return [];
@@ -270,11 +495,11 @@ const astHelpers = {
     return astHelpers.getColorLiteralsFromNode(node.expression);
   },
 
-  collectStyleObjectExpressionFromContainers: function (nodes) {
+  collectStyleObjectExpressionFromContainers: function (nodes, resolve) {
     let objectExpressions = [];
     nodes.forEach((node) => {
       objectExpressions = objectExpressions
-        .concat(astHelpers.getStyleObjectExpressionFromNode(node));
+        .concat(astHelpers.getStyleObjectExpressionFromNode(node, resolve));
     });
 
     return objectExpressions;
@@ -316,29 +541,38 @@ const astHelpers = {
     }
   },
 
-  getStyleObjectExpressionFromNode: function (node) {
+  getStyleObjectExpressionFromNode: function (node, resolve) {
     let leftStyleObjectExpression;
     let rightStyleObjectExpression;
+    let resolved;
+    let style;
 
     if (!node) {
       return [];
     }
 
     if (node.type === 'ObjectExpression') {
-      return [astHelpers.getStyleObjectFromExpression(node)];
+      return [astHelpers.getStyleObjectFromExpression(node, resolve)];
     }
 
     switch (node.type) {
       case 'LogicalExpression':
-        leftStyleObjectExpression = astHelpers.getStyleObjectExpressionFromNode(node.left);
-        rightStyleObjectExpression = astHelpers.getStyleObjectExpressionFromNode(node.right);
+        leftStyleObjectExpression = astHelpers
+          .getStyleObjectExpressionFromNode(node.left, resolve);
+        rightStyleObjectExpression = astHelpers
+          .getStyleObjectExpressionFromNode(node.right, resolve);
         return [].concat(leftStyleObjectExpression).concat(rightStyleObjectExpression);
       case 'ConditionalExpression':
-        leftStyleObjectExpression = astHelpers.getStyleObjectExpressionFromNode(node.consequent);
-        rightStyleObjectExpression = astHelpers.getStyleObjectExpressionFromNode(node.alternate);
+        leftStyleObjectExpression = astHelpers
+          .getStyleObjectExpressionFromNode(node.consequent, resolve);
+        rightStyleObjectExpression = astHelpers
+          .getStyleObjectExpressionFromNode(node.alternate, resolve);
         return [].concat(leftStyleObjectExpression).concat(rightStyleObjectExpression);
       default:
-        return [];
+        resolved = resolve && resolve(node);
+        style = resolved && astHelpers.getStyleObjectFromExpression(resolved, resolve);
+        // Case: the object is reported where it is used
+        return style ? [Object.assign(style, { node, resolved })] : [];
     }
   },
 
@@ -391,55 +625,211 @@ const astHelpers = {
     return result.join('.');
   },
 
-  getStyleObjectFromExpression: function (node) {
+  getStyleObjectFromExpression: function (node, resolve, visited) {
     const obj = {};
+    const visitedObjects = new Set(visited).add(node);
     let invalid = false;
     if (node.properties && node.properties.length) {
       node.properties.forEach((p) => {
+        if (p.type === 'SpreadElement') {
+          const spread = resolve && resolve(p.argument);
+          const spreadStyle = spread && !visitedObjects.has(spread)
+            && astHelpers.getStyleObjectFromExpression(spread, resolve, visitedObjects);
+          if (spreadStyle) {
+            invalid = true;
+            Object.assign(obj, spreadStyle.expression);
+          }
+          return;
+        }
         if (!p.value || !p.key) {
           return;
         }
+        const key = astHelpers.getStylePropertyIdentifier(p);
         if (p.value.type === 'Literal') {
           invalid = true;
-          obj[p.key.name] = p.value.value;
+          obj[key] = p.value.value;
         } else if (p.value.type === 'ConditionalExpression') {
           const innerNode = p.value;
           if (innerNode.consequent.type === 'Literal' || innerNode.alternate.type === 'Literal') {
             invalid = true;
-            obj[p.key.name] = getSourceCode(innerNode);
+            obj[key] = getSourceCode(innerNode);
           }
         } else if (p.value.type === 'UnaryExpression' && p.value.operator === '-' && p.value.argument.type === 'Literal') {
           invalid = true;
-          obj[p.key.name] = -1 * p.value.argument.value;
+          obj[key] = -1 * p.value.argument.value;
         } else if (p.value.type === 'UnaryExpression' && p.value.operator === '+' && p.value.argument.type === 'Literal') {
           invalid = true;
-          obj[p.key.name] = p.value.argument.value;
+          obj[key] = p.value.argument.value;
         }
       });
     }
     return invalid ? { expression: obj, node: node } : undefined;
   },
 
-  getColorLiteralsFromExpression: function (node) {
-    const obj = {};
-    let invalid = false;
-    if (node.properties && node.properties.length) {
-      node.properties.forEach((p) => {
-        if (p.key && p.key.name && p.key.name.toLowerCase().indexOf('color') !== -1) {
-          if (p.value.type === 'Literal') {
-            invalid = true;
-            obj[p.key.name] = p.value.value;
-          } else if (p.value.type === 'ConditionalExpression') {
-            const innerNode = p.value;
-            if (innerNode.consequent.type === 'Literal' || innerNode.alternate.type === 'Literal') {
-              invalid = true;
-              obj[p.key.name] = getSourceCode(innerNode);
-            }
-          }
+  isColorProperty: function (name) {
+    return typeof name === 'string' && name.toLowerCase().indexOf('color') !== -1;
+  },
+
+  /**
+   * GetColorLiteralsFromValue lists the literals of a style value holding a
+   * color: hex, `rgb()` and `hsl()` colors, in strings or template literals,
+   * looking into conditions, arrays and nested objects. Under a color
+   * property, like `borderTopColor`, every literal counts, named colors
+   * included; elsewhere a name like `'Tomato'` may be a font family.
+   *
+   * @param {ASTNode} node - The value.
+   * @param {boolean} isColorProperty - Whether the value is the one of a color property.
+   * @returns {Array<ASTNode>}
+   */
+  getColorLiteralsFromValue: function (node, isColorProperty) {
+    if (!node) {
+      return [];
+    }
+
+    switch (node.type) {
+      case 'Literal':
+        if (isColorProperty) {
+          return [node];
         }
-      });
+        return typeof node.value === 'string' && colors.isExplicitColor(node.value) ? [node] : [];
+      case 'TemplateLiteral': {
+        const text = node.quasis.map((quasi) => quasi.value.cooked).join('');
+        if (!node.expressions.length) {
+          return isColorProperty || colors.isExplicitColor(text) ? [node] : [];
+        }
+        return colors.isColorPrefix(text) || (isColorProperty && text.trim() !== '') ? [node] : [];
+      }
+      case 'LogicalExpression':
+        return [].concat(
+          astHelpers.getColorLiteralsFromValue(node.left, isColorProperty),
+          astHelpers.getColorLiteralsFromValue(node.right, isColorProperty)
+        );
+      case 'ConditionalExpression':
+        return [].concat(
+          astHelpers.getColorLiteralsFromValue(node.consequent, isColorProperty),
+          astHelpers.getColorLiteralsFromValue(node.alternate, isColorProperty)
+        );
+      case 'ArrayExpression':
+        return node.elements.reduce((result, element) => result.concat(
+          astHelpers.getColorLiteralsFromValue(
+            element && element.type === 'SpreadElement' ? element.argument : element,
+            isColorProperty
+          )
+        ), []);
+      case 'ObjectExpression':
+        return node.properties
+          .filter((property) => property.type === 'Property')
+          .reduce((result, property) => result.concat(
+            astHelpers.getColorLiteralsFromValue(
+              property.value,
+              isColorProperty
+                || astHelpers.isColorProperty(astHelpers.getStylePropertyIdentifier(property))
+            )
+          ), []);
+      default:
+        return [];
     }
-    return invalid ? { expression: obj, node: node } : undefined;
+  },
+
+  /**
+   * GetColorLiteralsFromEntries collects the colors of a list of
+   * `{key, value, isColorProperty}` entries. `expression` maps the entries
+   * holding color literals to their value, `literals` maps them to the literal
+   * nodes, and `references` lists the non literal values of color
+   * properties, e.g. `theme.primary`.
+   *
+   * @param {Array<object>} entries - The entries.
+   * @param {ASTNode} node - The node the entries belong to.
+   * @returns {object|undefined}
+   */
+  getColorLiteralsFromEntries: function (entries, node) {
+    const obj = {};
+    const literals = {};
+    const references = [];
+
+    entries.forEach(({ key, value, isColorProperty }) => {
+      const valueLiterals = astHelpers.getColorLiteralsFromValue(value, isColorProperty);
+
+      if (valueLiterals.length) {
+        obj[key] = value.type === 'Literal' ? value.value : getSourceCode(value);
+        literals[key] = valueLiterals;
+      } else if (isColorProperty && value) {
+        references.push(value);
+      }
+    });
+
+    return Object.keys(obj).length || references.length
+      ? {
+        expression: obj,
+        node: node,
+        literals,
+        references,
+      }
+      : undefined;
+  },
+
+  getColorLiteralsFromExpression: function (node) {
+    const entries = (node.properties || [])
+      .filter((p) => p.type === 'Property' && p.key)
+      .map((p) => {
+        const key = astHelpers.getStylePropertyIdentifier(p);
+
+        return { key, value: p.value, isColorProperty: astHelpers.isColorProperty(key) };
+      });
+
+    return astHelpers.getColorLiteralsFromEntries(entries, node);
+  },
+
+  /**
+   * GetColorLiteralsFromAttribute collects the colors passed to a JSX
+   * attribute, like `tintColor="#fff"` or `colors={['#fff', '#000']}`.
+   *
+   * @param {ASTNode} node - The JSXAttribute.
+   * @param {object} context - The rule context.
+   * @returns {object|undefined}
+   */
+  getColorLiteralsFromAttribute: function (node, context) {
+    currentContent = context;
+    const value = node.value && node.value.type === 'JSXExpressionContainer'
+      ? node.value.expression
+      : node.value;
+
+    return astHelpers.getColorLiteralsFromEntries(
+      [{ key: node.name.name, value, isColorProperty: true }],
+      node
+    );
+  },
+
+  isProcessColorCall: function (node) {
+    return Boolean(
+      node.type === 'CallExpression'
+      && node.arguments.length
+      && (
+        (node.callee.type === 'Identifier' && node.callee.name === 'processColor')
+        || (
+          node.callee.type === 'MemberExpression'
+          && !node.callee.computed
+          && node.callee.property.name === 'processColor'
+        )
+      )
+    );
+  },
+
+  /**
+   * GetColorLiteralsFromProcessColor collects the color passed to a
+   * `processColor()` call.
+   *
+   * @param {ASTNode} node - The CallExpression.
+   * @param {object} context - The rule context.
+   * @returns {object|undefined}
+   */
+  getColorLiteralsFromProcessColor: function (node, context) {
+    currentContent = context;
+
+    return astHelpers.getColorLiteralsFromEntries(
+      [{ key: 'processColor', value: node.arguments[0], isColorProperty: true }],
+      node
+    );
   },
 
   getObjectName: function (node) {
@@ -466,14 +856,221 @@ const astHelpers = {
     if (
       node
       && node.object
-      && node.object.type === 'Identifier'
-      && node.object.name
       && node.property
-      && node.property.type === 'Identifier'
-      && node.property.name
       && node.parent.type !== 'MemberExpression'
     ) {
-      return [node.object.name, node.property.name].join('.');
+      const objectName = astHelpers.getMemberExpressionName(node.object);
+      const key = astHelpers.getStaticPropertyKey(node.property, node.computed);
+      if (objectName && key !== undefined) {
+        return [objectName, key].join('.');
+      }
+    }
+  },
+
+  getStaticPropertyKey: function (node, computed) {
+    if (!computed && node.type === 'Identifier') {
+      return node.name;
+    }
+
+    if (node.type === 'Literal' && typeof node.value === 'string') {
+      return node.value;
+    }
+
+    if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+      return node.quasis[0].value.cooked;
+    }
+  },
+
+  /**
+   * GetNodeScope returns the innermost scope containing a node.
+   *
+   * @param {SourceCode} sourceCode - The source code of the file.
+   * @param {ASTNode} node - The node.
+   * @returns {Scope|null}
+   */
+  getNodeScope: function (sourceCode, node) {
+    for (let current = node; current; current = current.parent) {
+      const scope = sourceCode.scopeManager.acquire(current, true);
+      if (scope) {
+        return scope.type === 'function-expression-name' ? scope.childScopes[0] : scope;
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * ResolveObjectExpression returns the object an expression statically
+   * holds: an object literal, the initializer of a variable that is never
+   * reassigned, or, when `memo` is set, the object returned by the callback
+   * of a `useMemo()` call. Returns null otherwise.
+   *
+   * @param {SourceCode} sourceCode - The source code of the file.
+   * @param {ASTNode} node - The expression.
+   * @param {object} options - `memo`, whether to follow `useMemo()` calls.
+   * @returns {ASTNode|null}
+   */
+  resolveObjectExpression: function (sourceCode, node, options) {
+    if (node.type === 'ObjectExpression') {
+      return node;
+    }
+
+    if (node.type === 'CallExpression') {
+      const callback = node.arguments[0];
+
+      if (options.memo && astHelpers.isMemoCall(node) && callback && isFunction(callback)) {
+        const object = astHelpers.getReturnedObject(callback);
+        return object && object.type === 'ObjectExpression' ? object : null;
+      }
+
+      return null;
+    }
+
+    if (node.type !== 'Identifier') {
+      return null;
+    }
+
+    const variable = astHelpers.findVariable(astHelpers.getNodeScope(sourceCode, node), node.name);
+    const def = variable && variable.defs.length === 1 ? variable.defs[0] : null;
+
+    if (
+      !def
+      || def.type !== 'Variable'
+      || def.node.id.type !== 'Identifier'
+      || !def.node.init
+      || variable.references.some((reference) => reference.isWrite() && !reference.init)
+    ) {
+      return null;
+    }
+
+    return def.node.init.type === 'Identifier'
+      ? null
+      : astHelpers.resolveObjectExpression(sourceCode, def.node.init, options);
+  },
+
+  /**
+   * GetReferencedStyle returns the style a member expression like
+   * `styles.box` refers to. `styles` is resolved through the scope to the
+   * StyleSheet declaration initializing it, so that the StyleSheets of two
+   * components sharing a name aren't mixed up. Returns undefined when the
+   * StyleSheet or the key can't be known statically.
+   *
+   * @param {SourceCode} sourceCode - The source code of the file.
+   * @param {ASTNode} node - The member expression.
+   * @param {object} settings - The shared settings.
+   * @returns {ASTNode|undefined} The property of the style.
+   */
+  getReferencedStyle: function (sourceCode, node, settings) {
+    const key = astHelpers.getStaticPropertyKey(node.property, node.computed);
+    if (node.object.type !== 'Identifier' || key === undefined) {
+      return;
+    }
+
+    const scope = astHelpers.getNodeScope(sourceCode, node);
+    const variable = astHelpers.findVariable(scope, node.object.name);
+    const def = variable && variable.defs.length === 1 ? variable.defs[0] : null;
+
+    if (
+      !def
+      || def.type !== 'Variable'
+      || !astHelpers.isStyleSheetDeclaration(def.node.init, settings)
+      || variable.references.some((reference) => reference.isWrite() && !reference.init)
+    ) {
+      return;
+    }
+
+    return astHelpers.getStyleDeclarations(def.node.init, settings)
+      .find((property) => astHelpers.getStylePropertyIdentifier(property) === key);
+  },
+
+  findVariable: function (scope, name) {
+    let currentScope = scope;
+    while (currentScope) {
+      const variable = currentScope.set.get(name);
+      if (variable) {
+        return variable;
+      }
+      currentScope = currentScope.upper;
+    }
+
+    return null;
+  },
+
+  getStyleUsageFromPattern: function (pattern) {
+    const usage = { keys: [], dynamic: null };
+
+    pattern.properties.forEach((property) => {
+      const key = property.type === 'Property'
+        ? astHelpers.getStaticPropertyKey(property.key, property.computed)
+        : undefined;
+
+      if (key === undefined) {
+        usage.dynamic = pattern;
+      } else {
+        usage.keys.push(key);
+      }
+    });
+
+    return usage;
+  },
+
+  /**
+   * GetStyleUsageFromIdentifier tells which keys of a StyleSheet are used by
+   * a reference to its variable. `dynamic` holds the node using the
+   * StyleSheet in a way that could use any of its keys, e.g. `styles[variant]`,
+   * `{...styles}`, or any use of the whole StyleSheet like `pick(styles, 'a')`
+   * or `<Child styles={styles} />`.
+   *
+   * @param {ASTNode} node - The Identifier referencing the StyleSheet.
+   * @returns {{keys: Array<string>, dynamic: ?ASTNode}}
+   */
+  getStyleUsageFromIdentifier: function (node) {
+    const { parent } = node;
+    const usage = { keys: [], dynamic: null };
+
+    switch (parent.type) {
+      case 'MemberExpression': {
+        const key = parent.object === node
+          ? astHelpers.getStaticPropertyKey(parent.property, parent.computed)
+          : undefined;
+        if (key === undefined) {
+          usage.dynamic = parent.object === node ? parent : node;
+        } else {
+          usage.keys.push(key);
+        }
+        return usage;
+      }
+      case 'VariableDeclarator':
+        if (parent.id === node) {
+          return usage;
+        }
+        if (parent.id.type === 'ObjectPattern') {
+          return astHelpers.getStyleUsageFromPattern(parent.id);
+        }
+        usage.dynamic = node;
+        return usage;
+      case 'AssignmentExpression':
+        if (parent.left === node) {
+          return usage;
+        }
+        if (parent.left.type === 'ObjectPattern') {
+          return astHelpers.getStyleUsageFromPattern(parent.left);
+        }
+        usage.dynamic = node;
+        return usage;
+      case 'CallExpression':
+        // The StyleSheets returned by style factories are followed separately
+        if (parent.callee !== node) {
+          usage.dynamic = node;
+        }
+        return usage;
+      case 'SpreadElement':
+      case 'ExperimentalSpreadProperty':
+        usage.dynamic = parent;
+        return usage;
+      default:
+        usage.dynamic = node;
+        return usage;
     }
   },
 
@@ -0,0 +1,321 @@
+'use strict';
+
+const eslintUtil = require('./eslint');
+const fixers = require('./fixers');
+const StylesUsageIndex = require('./StylesUsageIndex');
+const styleSheet = require('./stylesheet');
+
+const { StyleSheets } = styleSheet;
+const { astHelpers } = styleSheet;
+
+const EXPORT_TYPES = ['ExportSpecifier', 'ExportDefaultDeclaration'];
+
+function getEnclosingClassBody(node) {
+  let current = node.parent;
+  while (current && current.type !== 'ClassBody') {
+    current = current.parent;
+  }
+  return current;
+}
+
+/**
+ * CreateTracker collects the StyleSheets of a file and the references to
+ * their styles, and reports the unused styles when the file has been
+ * traversed. The visitors are the ones of the no-unused-styles rule, to be
+ * wrapped by `Components.detect`; `addStyleSheet` adds the StyleSheets found
+ * by other means, like the imported ones.
+ *
+ * @param {RuleContext} context - The rule context.
+ * @param {Components} components - The components detected in the file.
+ * @returns {{addStyleSheet: Function, visitors: object}}
+ */
+function createTracker(context, components) {
+  const styleSheets = new StyleSheets();
+  const styleReferences = [];
+  const styleSheetVariables = [];
+  const styleSheetEntries = {};
+  const styleFactoryCalls = [];
+  const options = context.options[0] || {};
+
+  /**
+   * Adds a StyleSheet under a key of its own, since StyleSheets declared in
+   * different scopes can share a name, like the `styles` of two components.
+   * The StyleSheets bound to a variable are followed through its references,
+   * the other ones, like `this.styles`, by name.
+   */
+  function addStyleSheet(name, styles, declaration, variable) {
+    let key = name;
+    for (let index = 2; styleSheetEntries[key]; index += 1) {
+      key = `${name}#${index}`;
+    }
+
+    styleSheets.add(key, styles);
+    styleSheetEntries[key] = {
+      name,
+      declaration,
+      variable,
+      classBody: name.startsWith('this.') ? getEnclosingClassBody(declaration) : null,
+    };
+    if (variable) {
+      styleSheetVariables.push({ styleSheetKey: key, variable });
+    }
+  }
+
+  function getRemovableDeclaration(styleSheetKey, styles) {
+    const { declaration } = styleSheetEntries[styleSheetKey];
+    const declarator = declaration.parent;
+
+    if (
+      styles.length !== astHelpers.getStyleDeclarations(declaration, context.settings).length
+      || declarator.type !== 'VariableDeclarator'
+      || declarator.parent.declarations.length !== 1
+      || declarator.parent.parent.type === 'ExportNamedDeclaration'
+    ) {
+      return null;
+    }
+
+    const isReferenced = styleSheetVariables.some(({ variable }) => (
+      variable.defs.some((def) => def.node === declarator)
+      && variable.references.some((reference) => reference.identifier !== declarator.id)
+    ));
+
+    return isReferenced ? null : declarator.parent;
+  }
+
+  function getFix(styleSheetKey, styles, node) {
+    const sourceCode = eslintUtil.getSourceCode(context);
+    const removableDeclaration = getRemovableDeclaration(styleSheetKey, styles);
+    const removedNode = removableDeclaration || node;
+    const range = removableDeclaration
+      ? fixers.getStatementRange(sourceCode, removableDeclaration)
+      : fixers.getListItemRange(sourceCode, node);
+
+    return {
+      hasComments: fixers.hasAttachedComments(sourceCode, removedNode),
+      fix: (fixer) => fixer.removeRange(range),
+    };
+  }
+
+  function isExported(declaration) {
+    const { parent } = declaration;
+
+    switch (parent.type) {
+      case 'ExportDefaultDeclaration':
+        return true;
+      case 'AssignmentExpression':
+        return /^(module\.)?exports\b/.test(astHelpers.getMemberExpressionName(parent.left) || '');
+      case 'VariableDeclarator':
+        return parent.parent.parent.type === 'ExportNamedDeclaration';
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Tells whether the unused styles of a StyleSheet can be removed without
+   * review: the StyleSheet isn't exported, and all its references use static
+   * keys, so none of them can use the unused styles.
+   */
+  function isSafeToFix(styleSheetKey) {
+    const variables = styleSheetVariables
+      .filter((item) => item.styleSheetKey === styleSheetKey);
+
+    return !isExported(styleSheetEntries[styleSheetKey].declaration)
+      && variables.length > 0
+      && variables.every(({ variable }) => variable.references.every((reference) => (
+        !astHelpers.getStyleUsageFromIdentifier(reference.identifier).dynamic
+      )));
+  }
+
+  function reportUnusedStyles(unusedStyles) {
+    Object.keys(unusedStyles).forEach((key) => {
+      if ({}.hasOwnProperty.call(unusedStyles, key)) {
+        const styles = unusedStyles[key];
+        styles.forEach((node) => {
+          const name = [
+            styleSheetEntries[key].name,
+            astHelpers.getStylePropertyIdentifier(node),
+          ].join('.');
+          // Styles imported from other files can't be fixed from here
+          const { hasComments, fix } = styleSheetEntries[key].declaration
+            ? getFix(key, styles, node)
+            : {};
+
+          const autofix = fix && !hasComments && isSafeToFix(key);
+
+          context.report({
+            node,
+            message: 'Unused style detected: {{name}}',
+            data: { name },
+            fix: autofix ? fix : undefined,
+            suggest: fix && !autofix ? [{
+              desc: 'Remove unused style {{name}}',
+              data: { name },
+              fix,
+            }] : undefined,
+          });
+        });
+      }
+    });
+  }
+
+  // The variables holding the StyleSheets returned by style factories
+  function addStyleFactoryVariables() {
+    styleFactoryCalls.forEach(({ factoryVariable, variable }) => {
+      Object.keys(styleSheetEntries)
+        .filter((key) => factoryVariable && styleSheetEntries[key].variable === factoryVariable)
+        .forEach((key) => styleSheetVariables.push({ styleSheetKey: key, variable }));
+    });
+  }
+
+  function markNamedReferencesAsUsed() {
+    styleReferences.forEach((node) => {
+      const name = astHelpers.getMemberExpressionName(node.object);
+      const property = astHelpers.getStaticPropertyKey(node.property, node.computed);
+
+      Object.keys(styleSheetEntries).forEach((key) => {
+        const entry = styleSheetEntries[key];
+        if (
+          !entry.variable
+          && entry.name === name
+          && (!entry.classBody || entry.classBody === getEnclosingClassBody(node))
+        ) {
+          styleSheets.markAsUsed(key, property);
+        }
+      });
+    });
+  }
+
+  /**
+   * Marks the keys used through the variables of the StyleSheets. The exports
+   * of the StyleSheets checked against their importers aren't usages.
+   */
+  function markVariableReferencesAsUsed(exportedStyleSheets) {
+    styleSheetVariables.forEach(({ styleSheetKey, variable }) => {
+      variable.references.forEach((reference) => {
+        if (
+          exportedStyleSheets.includes(styleSheetKey)
+          && EXPORT_TYPES.includes(reference.identifier.parent.type)
+        ) {
+          return;
+        }
+
+        const usage = astHelpers.getStyleUsageFromIdentifier(reference.identifier);
+
+        usage.keys.forEach((key) => styleSheets.markAsUsed(styleSheetKey, key));
+
+        if (!usage.dynamic) {
+          return;
+        }
+        if (options.reportUnverifiable) {
+          context.report({
+            node: usage.dynamic,
+            message: 'Unverifiable style usage: {{usage}}',
+            data: { usage: eslintUtil.getSourceCode(context).getText(usage.dynamic) },
+          });
+        } else {
+          styleSheets.markAllAsUsed(styleSheetKey);
+        }
+      });
+    });
+  }
+
+  // The key of the StyleSheet declared by a module under a name
+  function getModuleStyleSheetKey(name) {
+    return Object.keys(styleSheetEntries).find((key) => {
+      const { variable } = styleSheetEntries[key];
+
+      return styleSheetEntries[key].name === name
+        && (!variable || variable.scope.type === 'module' || variable.scope.type === 'global');
+    });
+  }
+
+  function markExportedStylesAsUsed() {
+    const exportedStylesUsage = StylesUsageIndex.getExportedStylesUsage(options, context);
+
+    return Object.keys(exportedStylesUsage).map((styleSheetName) => {
+      const styleSheetKey = getModuleStyleSheetKey(styleSheetName);
+      if (!styleSheetKey) {
+        return null;
+      }
+
+      const keys = exportedStylesUsage[styleSheetName];
+      if (keys.has(StylesUsageIndex.ALL_KEYS)) {
+        styleSheets.markAllAsUsed(styleSheetKey);
+      } else {
+        keys.forEach((key) => styleSheets.markAsUsed(styleSheetKey, key));
+      }
+
+      return styleSheetKey;
+    }).filter(Boolean);
+  }
+
+  const visitors = {
+    MemberExpression: function (node) {
+      if (astHelpers.getPotentialStyleReferenceFromMemberExpression(node)) {
+        styleReferences.push(node);
+      }
+    },
+
+    VariableDeclarator: function (node) {
+      const factoryName = astHelpers.getStyleFactoryCallName(node.init);
+
+      if (factoryName && node.id.type === 'Identifier') {
+        const scope = eslintUtil.getScope(context, node);
+
+        styleFactoryCalls.push({
+          factoryVariable: astHelpers.findVariable(scope, factoryName),
+          variable: astHelpers.findVariable(scope, node.id.name),
+        });
+      }
+    },
+
+    CallExpression: function (node) {
+      if (astHelpers.isStyleSheetDeclaration(node, context.settings)) {
+        const styleSheetName = astHelpers.getStyleSheetName(node);
+        const styles = astHelpers.getStyleDeclarations(node, context.settings);
+
+        // A default export can only be used by the modules importing it
+        if (
+          styleSheetName === undefined
+          || (styleSheetName === 'default' && !options.enableProjectCheck)
+        ) {
+          return;
+        }
+
+        addStyleSheet(
+          styleSheetName,
+          styles,
+          node,
+          astHelpers.findVariable(eslintUtil.getScope(context, node), styleSheetName)
+        );
+      }
+    },
+
+    'Program:exit': function () {
+      const list = components.all();
+      const hasComponents = Object.keys(list).length > 0;
+      const exportedStyleSheets = options.enableProjectCheck ? markExportedStylesAsUsed() : [];
+
+      if (hasComponents || exportedStyleSheets.length > 0) {
+        addStyleFactoryVariables();
+        markNamedReferencesAsUsed();
+        markVariableReferencesAsUsed(exportedStyleSheets);
+
+        const unusedStyles = styleSheets.getUnusedReferences();
+        // Centralized StyleSheets are only checked against their importers
+        reportUnusedStyles(hasComponents
+          ? unusedStyles
+          : exportedStyleSheets.reduce((result, styleSheetKey) => Object.assign(result, {
+            [styleSheetKey]: unusedStyles[styleSheetKey],
+          }), {}));
+      }
+    },
+  };
+
+  return { addStyleSheet, visitors };
+}
+
+module.exports = {
+  createTracker,
+};
@@ -5,6 +5,8 @@
 
 'use strict';
 
+const eslintUtil = require('./eslint');
+
 /**
  * Search a particular variable in a list
  * @param {Array} variables The variables list.
@@ -31,10 +33,11 @@ function getVariable(variables, name) {
  * Contain a patch for babel-eslint to avoid https://github.com/babel/babel-eslint/issues/21
  *
  * @param {Object} context The current rule context.
+ * @param {ASTNode} node The AST node being traversed.
  * @returns {Array} The variables list
  */
-function variablesInScope(context) {
-	let scope = context.getScope();
+function variablesInScope(context, node) {
+	let scope = eslintUtil.getScope(context, node);
 	let { variables } = scope;
 
 	while (scope.type !== 'global') {
@@ -56,11 +59,12 @@ function variablesInScope(context) {
 /**
  * Find a variable by name in the current scope.
  * @param {Object} context The current rule context.
+ * @param {ASTNode} node The AST node being traversed.
  * @param  {string} name Name of the variable to look for.
  * @returns {ASTNode|null} Return null if the variable could not be found, ASTNode otherwise.
  */
-function findVariableByName(context, name) {
-	const variable = getVariable(variablesInScope(context), name);
+function findVariableByName(context, node, name) {
+	const variable = getVariable(variablesInScope(context, node), name);
 
 	if (!variable || !variable.defs[0] || !variable.defs[0].node) {
 		return null;
@@ -6,6 +6,7 @@
 const assert = require('assert');
 const fs = require('fs');
 const path = require('path');
+const { Linter } = require('eslint');
 const plugin = require('..');
 
 const rules = fs
@@ -17,6 +18,29 @@ const defaultSettings = {
   'jsx-uses-vars': 1,
 };
 
+// The rule context methods removed by ESLint 9 and 10
+const removedContextMethods = [
+  'getAncestors',
+  'getDeclaredVariables',
+  'getFirstTokens',
+  'getScope',
+  'markVariableAsUsed',
+  'getFilename',
+  'getSourceCode',
+];
+
+function withoutRemovedContextMethods(rule) {
+  const properties = {};
+  removedContextMethods.forEach((method) => {
+    properties[method] = { value: undefined };
+  });
+
+  return {
+    ...rule,
+    create: (context) => rule.create(Object.create(context, properties)),
+  };
+}
+
 describe('all rule files should be exported by the plugin', () => {
   rules.forEach((ruleName) => {
     it('should export ' + ruleName, () => {
@@ -59,3 +83,117 @@ describe('configurations', () => {
     });
   });
 });
+
+describe('rule documentation', () => {
+  rules.forEach((ruleName) => {
+    it('should document whether ' + ruleName + ' is recommended', () => {
+      const { docs } = plugin.rules[ruleName].meta;
+      assert(docs);
+      assert(docs.description);
+      assert(docs.recommended !== undefined);
+    });
+  });
+});
+
+describe('recommended configurations', () => {
+  it('should export a \'recommended\' configuration derived from the rules', () => {
+    const config = plugin.configs.recommended;
+    assert(config);
+    rules.forEach((ruleName) => {
+      const { recommended } = plugin.rules[ruleName].meta.docs;
+      const ruleConfig = config.rules['react-native/' + ruleName];
+      if (recommended) {
+        assert.deepEqual(ruleConfig, recommended === true ? 'error' : recommended);
+      } else {
+        assert.equal(ruleConfig, undefined);
+      }
+    });
+  });
+
+  it('should not enable opinionated rules in the \'recommended\' configuration', () => {
+    assert.equal(plugin.configs.recommended.rules['react-native/sort-styles'], undefined);
+    assert.equal(plugin.configs.recommended.rules['react-native/no-raw-text'], undefined);
+  });
+
+  it('should export a \'strict\' configuration', () => {
+    const config = plugin.configs.strict;
+    assert(config);
+    Object.keys(plugin.configs.recommended.rules).forEach((ruleName) => {
+      const ruleConfig = config.rules[ruleName];
+      assert.equal(Array.isArray(ruleConfig) ? ruleConfig[0] : ruleConfig, 'error');
+    });
+    rules.forEach((ruleName) => {
+      if (plugin.rules[ruleName].meta.docs.strict) {
+        assert.equal(config.rules['react-native/' + ruleName], 'error');
+      }
+    });
+  });
+});
+
+describe('flat configurations', () => {
+  ['flat/all', 'flat/recommended', 'flat/strict'].forEach((configName) => {
+    it('should export a \'' + configName + '\' configuration', () => {
+      const config = plugin.configs[configName];
+      assert(config);
+      assert.equal(config.plugins['react-native'], plugin);
+      assert.equal(
+        config.languageOptions.globals,
+        plugin.environments['react-native'].globals
+      );
+      assert.equal(config.languageOptions.parserOptions.ecmaFeatures.jsx, true);
+      Object.keys(config.rules).forEach((ruleName) => {
+        assert.equal(ruleName.indexOf('react-native/'), 0);
+        assert(plugin.rules[ruleName.replace('react-native/', '')]);
+      });
+    });
+  });
+
+  ['flat/all', 'flat/recommended', 'flat/strict'].forEach((configName) => {
+    it('should run the \'' + configName + '\' configuration without the APIs removed by ESLint 9 and 10', () => {
+      const linter = new Linter({ configType: 'flat' });
+      const modernRules = {};
+      Object.keys(plugin.rules).forEach((ruleName) => {
+        modernRules[ruleName] = withoutRemovedContextMethods(plugin.rules[ruleName]);
+      });
+      const code = `
+        import React from 'react';
+        import { StyleSheet, Text, View } from 'react-native';
+
+        const { ActivityIndicator } = require('react-native');
+        const styles = StyleSheet.create({
+          text: { color: 'red' },
+          unused: {},
+        });
+
+        export default function Hello() {
+          return (
+            <View style={{ margin: 0 }}>
+              <Text style={[styles.text]}>Hello</Text>
+              <ActivityIndicator />
+            </View>
+          );
+        }
+      `;
+      const messages = linter.verify(
+        code,
+        {
+          ...plugin.configs[configName],
+          plugins: { 'react-native': { ...plugin, rules: modernRules } },
+        },
+        path.join(__dirname, 'Hello.js')
+      );
+
+      messages.forEach((message) => {
+        assert(!message.fatal, message.message);
+        assert.equal(message.ruleId.indexOf('react-native/'), 0);
+      });
+      assert(messages.some((message) => message.ruleId === 'react-native/no-unused-styles'));
+    });
+  });
+
+  it('should share the rules of the legacy configurations', () => {
+    assert.deepEqual(plugin.configs['flat/all'].rules, plugin.configs.all.rules);
+    assert.deepEqual(plugin.configs['flat/recommended'].rules, plugin.configs.recommended.rules);
+    assert.deepEqual(plugin.configs['flat/strict'].rules, plugin.configs.strict.rules);
+  });
+});
@@ -0,0 +1,7 @@
+module.exports = {
+  white: '#FFFFFF',
+  primary: '#0af',
+  gray: {
+    100: '#eee',
+  },
+};
@@ -0,0 +1,5 @@
+export const BUTTON_HEIGHT = 44;
+
+export default function Button() {
+  return null;
+}
@@ -0,0 +1,6 @@
+export const HEADER_HEIGHT = 56;
+export const STATUS_BAR_HEIGHT = 24;
+
+export default function Header() {
+  return null;
+}
@@ -0,0 +1,5 @@
+export const HEADER_HEIGHT = 44;
+
+export default function Header() {
+  return null;
+}
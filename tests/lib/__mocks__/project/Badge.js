@@ -0,0 +1,7 @@
+import React from "react";
+import { View } from "react-native";
+import badgeStyles from "./badge-styles";
+
+export default function Badge() {
+  return <View style={badgeStyles.badge} />;
+}
@@ -0,0 +1,7 @@
+import React from "react";
+import { View } from "react-native";
+import shared from "./shared";
+
+export default function Card({ renderContent }) {
+  return <View>{renderContent(shared)}</View>;
+}
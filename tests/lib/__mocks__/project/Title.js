@@ -0,0 +1,8 @@
+import React from "react";
+import { Text } from "react-native";
+import { styles } from "./styles";
+import * as theme from "./theme";
+
+export default function Title() {
+  return <Text style={[styles.title, styles["subtitle"], theme.colors.primary]} />;
+}
@@ -0,0 +1,6 @@
+import { StyleSheet } from "react-native";
+
+export default StyleSheet.create({
+  badge: {},
+  unused: {},
+});
@@ -0,0 +1,8 @@
+import { StyleSheet } from "react-native";
+
+const shared = StyleSheet.create({
+  card: {},
+  shadow: {},
+});
+
+export default shared;
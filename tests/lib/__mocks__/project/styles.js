@@ -0,0 +1,7 @@
+import { StyleSheet } from "react-native";
+
+export const styles = StyleSheet.create({
+  title: {},
+  subtitle: {},
+  unused: {},
+});
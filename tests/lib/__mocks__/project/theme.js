@@ -0,0 +1,6 @@
+import { StyleSheet } from "react-native";
+
+export const colors = StyleSheet.create({
+  primary: {},
+  secondary: {},
+});
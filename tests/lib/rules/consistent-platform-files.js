@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Platform specific files should have a variant for each
+ * platform exporting the same names.
+ */
+
+'use strict';
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+
+const fs = require('fs');
+const path = require('path');
+const { RuleTester } = require('eslint');
+const rule = require('../../../lib/rules/consistent-platform-files');
+
+require('@babel/eslint-parser');
+
+// ------------------------------------------------------------------------------
+// Tests
+// ------------------------------------------------------------------------------
+
+const platformRoot = path.dirname(require.resolve('../__mocks__/platform/Button.ios.js'));
+const platformFile = (name) => ({
+  filename: path.join(platformRoot, name),
+  code: fs.readFileSync(path.join(platformRoot, name), { encoding: 'utf8' }),
+});
+const ruleTester = new RuleTester();
+const tests = {
+  valid: [
+    platformFile('Button.ios.js'),
+    platformFile('Button.android.js'),
+    // The fallback is used on iOS
+    platformFile('Toast.android.js'),
+    // The native file is used on both platforms
+    platformFile('Menu.native.js'),
+    // Files that aren't platform specific aren't checked
+    platformFile('Toast.js'),
+    {
+      ...platformFile('Picker.ios.js'),
+      options: [{ required: ['ios'] }],
+    },
+    {
+      ...platformFile('Header.ios.js'),
+      options: [{ checkExports: false }],
+    },
+    {
+      ...platformFile('Button.ios.js'),
+      code: 'export default function Button() {}',
+      options: [{ iosPathRegex: '\\.apple\\.js$' }],
+    },
+    // The names exported by `export *` can't be compared
+    platformFile('Modal.ios.js'),
+    platformFile('Modal.android.js'),
+    {
+      code: 'export default function Button() {}',
+      filename: 'Button.ios.js',
+    },
+  ],
+
+  invalid: [
+    {
+      ...platformFile('Picker.ios.js'),
+      errors: [{
+        message: 'Picker.ios.js has no android variant, add Picker.android.js or a Picker.js fallback',
+        line: 1,
+        column: 1,
+      }],
+    },
+    {
+      ...platformFile('Menu.native.js'),
+      options: [{ required: ['ios', 'android', 'web'] }],
+      errors: [{
+        message: 'Menu.native.js has no web variant, add Menu.web.js or a Menu.js fallback',
+      }],
+    },
+    {
+      ...platformFile('Picker.ios.js'),
+      options: [{ platforms: { windows: { pathRegex: '\\.windows\\.js$' } }, required: ['ios', 'windows'] }],
+      errors: [{
+        message: 'Picker.ios.js has no windows variant, add Picker.windows.js or a Picker.js fallback',
+      }],
+    },
+    {
+      ...platformFile('Header.ios.js'),
+      errors: [{
+        message: 'STATUS_BAR_HEIGHT is exported by Header.android.js but not by this file',
+        line: 1,
+        column: 1,
+      }],
+    },
+    {
+      ...platformFile('Header.android.js'),
+      errors: [{
+        message: 'STATUS_BAR_HEIGHT is not exported by Header.ios.js',
+        line: 2,
+        column: 14,
+      }],
+    },
+    {
+      ...platformFile('Button.ios.js'),
+      code: `
+        export { BUTTON_HEIGHT, BUTTON_WIDTH } from './constants';
+        export default function Button() {}
+      `,
+      errors: [{
+        message: 'BUTTON_WIDTH is not exported by Button.android.js',
+      }],
+    },
+    {
+      ...platformFile('Toast.android.js'),
+      code: 'export const showToast = () => {};',
+      errors: [{
+        message: 'default is exported by Toast.js but not by this file',
+      }, {
+        message: 'showToast is not exported by Toast.js',
+      }],
+    },
+  ],
+};
+
+const config = {
+  parser: require.resolve('@babel/eslint-parser'),
+  parserOptions: {
+    requireConfigFile: false,
+    babelOptions: {
+      parserOpts: {
+        plugins: [
+          ['estree', { classFeatures: true }],
+          'jsx',
+        ],
+      },
+    },
+  },
+};
+
+tests.valid.forEach((t) => Object.assign(t, config));
+tests.invalid.forEach((t) => Object.assign(t, config));
+
+ruleTester.run('consistent-platform-files', rule, tests);
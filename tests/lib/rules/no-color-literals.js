@@ -3,13 +3,19 @@
  * @author Aaron Greenwald
  */
 
+/* eslint-env mocha */
+
 'use strict';
 
 // ------------------------------------------------------------------------------
 // Requirements
 // ------------------------------------------------------------------------------
 
-const { RuleTester } = require('eslint');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Linter, RuleTester } = require('eslint');
 const rule = require('../../../lib/rules/no-color-literals');
 
 require('@babel/eslint-parser');
@@ -18,6 +24,7 @@ require('@babel/eslint-parser');
 // Tests
 // ------------------------------------------------------------------------------
 
+const palette = { path: require.resolve('../__mocks__/palette') };
 const ruleTester = new RuleTester();
 
 const tests = {
@@ -67,6 +74,49 @@ const tests = {
         }
       `,
     },
+    {
+      code: `
+        const Hello = () => <View style={{backgroundColor: 'transparent', borderColor: 'Inherit'}} />;
+      `,
+      options: [{ allow: ['transparent', 'inherit'] }],
+    },
+    {
+      code: `
+        import { colors } from '@app/theme';
+        import { brand } from '@app/theme/brand';
+        const Hello = ({ tint }) => (
+          <View style={{backgroundColor: colors.white, borderColor: brand, color: tint}} />
+        );
+      `,
+      options: [{ allowedModules: ['@app/theme'] }],
+    },
+    {
+      code: `
+        const styles = StyleSheet.create({
+          text: {
+            fontFamily: 'Helvetica',
+            textAlign: 'center',
+            shadowOffset: { width: 0, height: 2 },
+            transform: [{ rotate: '45deg' }],
+          },
+        });
+        const Hello = () => (
+          <Image source={icon} resizeMode="contain" tintColor={theme.primary} accessibilityLabel="red" />
+        );
+      `,
+    },
+    {
+      code: `
+        const styles = StyleSheet.create({
+          title: { fontFamily: 'Tomato' },
+        });
+        const Hello = () => (
+          <Provider colorScheme="dark" theme="Navy">
+            <Text style={{fontFamily: \`Orchid\`}}>Hello</Text>
+          </Provider>
+        );
+      `,
+    },
   ],
   invalid: [
     {
@@ -176,6 +226,225 @@ const tests = {
         },
       ],
     },
+    {
+      code: `
+        const useStyles = createStyleSheet((theme) => ({
+          text: {
+            color: 'red',
+          },
+        }));
+      `,
+      settings: {
+        'react-native/style-factories': ['createStyleSheet'],
+      },
+      errors: [{
+        message: 'Color literal: { color: \'red\' }',
+      }],
+    },
+    {
+      code: `
+        const styles = StyleSheet.create({
+          card: {
+            borderTopColor: \`#fff\`,
+            shadow: { color: 'black', opacity: 0.5 },
+            outline: '#FF0000',
+          },
+        });
+      `,
+      errors: [{
+        message: 'Color literal: { borderTopColor: \'`#fff`\', shadow: "{ color: \'black\', opacity: 0.5 }", outline: \'#FF0000\' }',
+      }],
+    },
+    {
+      code: `
+        const Hello = ({ active, opacity }) => (
+          <View style={{backgroundColor: active && 'red', borderColor: \`rgba(0, 0, 0, \${opacity})\`}} />
+        );
+      `,
+      errors: [{
+        message: 'Color literal: { backgroundColor: "active && \'red\'", borderColor: \'`rgba(0, 0, 0, ${opacity})`\' }', // eslint-disable-line no-template-curly-in-string
+      }],
+    },
+    {
+      code: `
+        const Hello = () => (
+          <View>
+            <Image source={icon} tintColor="#fff" />
+            <LinearGradient colors={['#fff', '#000']} />
+            <Path fill="hsl(120, 100%, 50%)" />
+          </View>
+        );
+      `,
+      options: [{ colorProps: ['fill'] }],
+      errors: [{
+        message: 'Color literal: { tintColor: \'#fff\' }',
+      }, {
+        message: 'Color literal: { colors: "[\'#fff\', \'#000\']" }',
+      }, {
+        message: 'Color literal: { fill: \'hsl(120, 100%, 50%)\' }',
+      }],
+    },
+    {
+      code: `
+        const styles = StyleSheet.create({
+          title: { fontFamily: 'Tomato', textShadow: 'rgb(0, 0, 0)' },
+        });
+        const Hello = () => (
+          <Provider colorScheme="dark">
+            <Icon name="star" color="gold" placeholderTextColor="#999" />
+          </Provider>
+        );
+      `,
+      errors: [{
+        message: 'Color literal: { textShadow: \'rgb(0, 0, 0)\' }',
+      }, {
+        message: 'Color literal: { color: \'gold\' }',
+      }, {
+        message: 'Color literal: { placeholderTextColor: \'#999\' }',
+      }],
+    },
+    {
+      code: `
+        const color = processColor('red');
+      `,
+      errors: [{
+        message: 'Color literal: { processColor: \'red\' }',
+      }],
+    },
+    {
+      code: `
+        import React from 'react';
+        const Hello = () => <Image source={icon} tintColor="#FFF" />;
+      `,
+      options: [{ palette: { ...palette, module: '@app/theme' } }],
+      errors: [{
+        message: 'Color literal: { tintColor: \'#FFF\' }',
+        suggestions: [{
+          desc: 'Replace "#FFF" with colors.white',
+          output: `
+        import React from 'react';
+import { colors } from '@app/theme';
+        const Hello = () => <Image source={icon} tintColor={colors.white} />;
+      `,
+        }],
+      }],
+    },
+    {
+      code: `
+        import { spacing } from '@app/theme';
+        const Hello = () => <Image source={icon} tintColor="#FFF" />;
+      `,
+      options: [{ palette: { ...palette, module: '@app/theme' } }],
+      errors: [{
+        message: 'Color literal: { tintColor: \'#FFF\' }',
+        suggestions: [{
+          desc: 'Replace "#FFF" with colors.white',
+          output: `
+        import { spacing, colors } from '@app/theme';
+        const Hello = () => <Image source={icon} tintColor={colors.white} />;
+      `,
+        }],
+      }],
+    },
+    {
+      code: `
+        const Hello = () => <Image source={icon} tintColor="#FFF" />;
+      `,
+      options: [{ palette }],
+      errors: [{
+        message: 'Color literal: { tintColor: \'#FFF\' }',
+        suggestions: [],
+      }],
+    },
+    {
+      code: `
+        const Hello = () => <View style={{backgroundColor: 'transparent', borderColor: '#000'}} />;
+      `,
+      options: [{ allow: ['transparent'] }],
+      errors: [{
+        message: 'Color literal: { borderColor: \'#000\' }',
+      }],
+    },
+    {
+      code: `
+        import { white } from './legacy-colors';
+        const black = '#000';
+        const Hello = () => <View style={{backgroundColor: white, borderColor: black}} />;
+      `,
+      options: [{ allowedModules: ['@app/theme'] }],
+      errors: [{
+        message: 'Color white should come from @app/theme',
+      }, {
+        message: 'Color black should come from @app/theme',
+      }],
+    },
+    {
+      code: `
+        import { colors } from '@app/theme';
+        const styles = StyleSheet.create({
+          text: {
+            color: '#fff',
+            borderColor: 'red',
+            backgroundColor: '#EEEEEE',
+          },
+        });
+      `,
+      options: [{ palette }],
+      errors: [{
+        message: 'Color literal: { color: \'#fff\', borderColor: \'red\', backgroundColor: \'#EEEEEE\' }',
+        suggestions: [{
+          desc: 'Replace \'#fff\' with colors.white',
+          output: `
+        import { colors } from '@app/theme';
+        const styles = StyleSheet.create({
+          text: {
+            color: colors.white,
+            borderColor: 'red',
+            backgroundColor: '#EEEEEE',
+          },
+        });
+      `,
+        }, {
+          desc: 'Replace \'#EEEEEE\' with colors.gray[100]',
+          output: `
+        import { colors } from '@app/theme';
+        const styles = StyleSheet.create({
+          text: {
+            color: '#fff',
+            borderColor: 'red',
+            backgroundColor: colors.gray[100],
+          },
+        });
+      `,
+        }],
+      }],
+    },
+    {
+      code: `
+        const Hello = ({ theme }) => <View style={{backgroundColor: '#0AF'}} />;
+      `,
+      options: [{ palette: { path: palette.path, name: 'theme.palette' } }],
+      errors: [{
+        message: 'Color literal: { backgroundColor: \'#0AF\' }',
+        suggestions: [{
+          desc: 'Replace \'#0AF\' with theme.palette.primary',
+          output: `
+        const Hello = ({ theme }) => <View style={{backgroundColor: theme.palette.primary}} />;
+      `,
+        }],
+      }],
+    },
+    {
+      code: `
+        const Hello = () => <View style={{backgroundColor: '#0AF'}} />;
+      `,
+      options: [{ palette: { path: './missing-palette.js' } }],
+      errors: [{
+        message: /^Unable to load the color palette \.\/missing-palette\.js: /,
+      }, {
+        message: 'Color literal: { backgroundColor: \'#0AF\' }',
+      }],
+    },
   ],
 };
 
@@ -198,3 +467,31 @@ tests.valid.forEach((t) => Object.assign(t, config));
 tests.invalid.forEach((t) => Object.assign(t, config));
 
 ruleTester.run('no-color-literals', rule, tests);
+
+describe('no-color-literals palette', () => {
+  it('loads the palette again when it changes', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'palette-'));
+    const palettePath = path.join(directory, 'colors.js');
+    const linter = new Linter();
+    const lint = () => linter.verify('const color = processColor(\'#fff\');', {
+      parserOptions: { ecmaVersion: 2018, sourceType: 'module' },
+      rules: {
+        'react-native/no-color-literals': ['error', { palette: { path: palettePath, module: '@app/theme' } }],
+      },
+    })[0].suggestions.map((suggestion) => suggestion.desc);
+
+    linter.defineRule('react-native/no-color-literals', rule);
+
+    try {
+      fs.writeFileSync(palettePath, 'module.exports = { white: \'#fff\' };');
+      fs.utimesSync(palettePath, 1000, 1000);
+      assert.deepStrictEqual(lint(), ['Replace \'#fff\' with colors.white']);
+
+      fs.writeFileSync(palettePath, 'module.exports = { background: \'#fff\' };');
+      fs.utimesSync(palettePath, 2000, 2000);
+      assert.deepStrictEqual(lint(), ['Replace \'#fff\' with colors.background']);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
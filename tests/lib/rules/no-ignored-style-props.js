@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Detects style properties that the styled component ignores
+ */
+
+'use strict';
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+
+const { RuleTester } = require('eslint');
+const rule = require('../../../lib/rules/no-ignored-style-props');
+
+require('@babel/eslint-parser');
+
+// ------------------------------------------------------------------------------
+// Tests
+// ------------------------------------------------------------------------------
+
+const ruleTester = new RuleTester();
+
+const tests = {
+  valid: [
+    {
+      code: `
+        const Hello = ({ active }) => (
+          <View style={styles.container}>
+            <Text style={[styles.title, active && { color: 'red' }]}>Hello</Text>
+            <Image style={{ tintColor: 'red', resizeMode: 'contain' }} />
+            <Custom style={{ fontSize: 12 }} />
+          </View>
+        );
+        const styles = StyleSheet.create({
+          container: {
+            flex: 1,
+            backgroundColor: 'white',
+          },
+          title: {
+            fontSize: 18,
+            padding: 4,
+          },
+        });
+      `,
+    },
+    {
+      code: `
+        const Hello = () => (
+          <ImageBackground style={{ flex: 1 }} imageStyle={{ resizeMode: 'cover' }}>
+            <Title style={{ fontSize: 18 }} />
+            <Card titleStyle={{ fontWeight: 'bold' }} />
+          </ImageBackground>
+        );
+      `,
+      options: [{ components: { Title: 'Text', Card: { style: 'View', titleStyle: 'Text' } } }],
+    },
+    {
+      code: `
+        function Box() {
+          const styles = StyleSheet.create({ box: { width: 1 } });
+          return <View style={styles.box} />;
+        }
+        function Label() {
+          const styles = StyleSheet.create({ box: { fontSize: 12 } });
+          return <Text style={styles.box}>Label</Text>;
+        }
+      `,
+    },
+  ],
+  invalid: [
+    {
+      code: `
+        const Hello = () => (
+          <View style={[styles.container, styles.title]}>
+            <Text style={styles.title}>Hello</Text>
+          </View>
+        );
+        const styles = StyleSheet.create({
+          container: {
+            flex: 1,
+          },
+          title: {
+            fontSize: 18,
+            color: 'black',
+            padding: 4,
+          },
+        });
+      `,
+      errors: [{
+        message: 'fontSize of styles.title has no effect on <View>',
+      }, {
+        message: 'color of styles.title has no effect on <View>',
+      }],
+    },
+    {
+      code: `
+        const Hello = ({ active }) => (
+          <ScrollView contentContainerStyle={active ? { color: 'red' } : null}>
+            <Text style={{ resizeMode: 'cover' }}>Hello</Text>
+            <Animated.View style={{ 'textAlign': 'center' }} />
+          </ScrollView>
+        );
+      `,
+      errors: [{
+        message: 'color has no effect on contentContainerStyle of <ScrollView>',
+      }, {
+        message: 'resizeMode has no effect on <Text>',
+      }, {
+        message: 'textAlign has no effect on <Animated.View>',
+      }],
+    },
+    {
+      code: `
+        const Hello = () => <Card style={{ fontSize: 12 }} titleStyle={{ fontSize: 12 }} />;
+      `,
+      options: [{ components: { Card: { style: 'View', titleStyle: 'Text' } } }],
+      errors: [{
+        message: 'fontSize has no effect on <Card>',
+      }],
+    },
+  ],
+};
+
+const config = {
+  parser: require.resolve('@babel/eslint-parser'),
+  parserOptions: {
+    requireConfigFile: false,
+    babelOptions: {
+      parserOpts: {
+        plugins: [
+          ['estree', { classFeatures: true }],
+          'jsx',
+        ],
+      },
+    },
+  },
+};
+
+tests.valid.forEach((t) => Object.assign(t, config));
+tests.invalid.forEach((t) => Object.assign(t, config));
+
+ruleTester.run('no-ignored-style-props', rule, tests);
@@ -77,6 +77,65 @@ const tests = {
         });
       `,
     },
+    {
+      code: `
+        const Hello = () => <View style={{ flex: 1 }} />;
+      `,
+      options: [{ allow: ['flex'] }],
+    },
+    {
+      code: `
+        const Hello = ({ animatedWidth }) => <View style={{ width: animatedWidth, opacity: 1 }} />;
+      `,
+      options: [{ allowIfContainsDynamic: true }],
+    },
+    {
+      code: `
+        const Hello = () => <View style={{ 'margin': 4, 'padding': 2 }} />;
+      `,
+      options: [{ allow: ['margin', 'padding'] }],
+    },
+    {
+      code: `
+        const Hello = ({ animatedWidth }) => <View style={{ 'width': animatedWidth, 'opacity': 1 }} />;
+      `,
+      options: [{ allowIfContainsDynamic: true }],
+    },
+    {
+      code: `
+        const Hello = () => <View style={{ margin: 4, padding: 2 }} />;
+      `,
+      options: [{ maxLiteralProperties: 2 }],
+    },
+    {
+      code: `
+        const Hello = () => <Animated.View style={{ opacity: 1 }} />;
+      `,
+      options: [{ ignoreComponents: ['Animated.View'] }],
+    },
+    {
+      code: `
+        let style = { margin: 4 };
+        style = getStyle();
+        const Hello = ({ other }) => <View style={[style, other, { ...other }]} />;
+      `,
+    },
+    {
+      code: `
+        const style = { margin: 4 };
+        const Hello = () => <View style={style} />;
+      `,
+      options: [{ resolve: 'inline' }],
+    },
+    {
+      code: `
+        const Hello = () => {
+          const style = useMemo(() => ({ margin: 4 }), []);
+          return <View style={style} />;
+        };
+      `,
+      options: [{ resolve: 'variables' }],
+    },
   ],
   invalid: [
     {
@@ -188,6 +247,262 @@ const tests = {
         message: 'Inline style: { backgroundColor: "someBoolean ? \'#fff\' : \'#000\'" }', //eslint-disable-line
       }],
     },
+    {
+      code: `
+        import React from 'react';
+        import { Text, View } from 'react-native';
+
+        const Hello = ({ opacity }) => (
+          <View>
+            <Text style={{ fontSize: 12, opacity }}>Hello</Text>
+          </View>
+        );
+
+        const styles = StyleSheet.create({
+          helloText: {
+            color: 'red',
+          }
+        });
+      `,
+      errors: [{
+        message: 'Inline style: { fontSize: 12 }',
+        suggestions: [{
+          desc: 'Move the inline style to styles.helloText2',
+          output: `
+        import React from 'react';
+        import { Text, View } from 'react-native';
+
+        const Hello = ({ opacity }) => (
+          <View>
+            <Text style={[styles.helloText2, { opacity }]}>Hello</Text>
+          </View>
+        );
+
+        const styles = StyleSheet.create({
+          helloText: {
+            color: 'red',
+          },
+          helloText2: {
+            fontSize: 12,
+          },
+        });
+      `,
+        }],
+      }],
+    },
+    {
+      code: `
+import React from 'react';
+import { ScrollView } from 'react-native';
+
+const List = ({ children }) => (
+  <ScrollView contentContainerStyle={[{ padding: 8, margin: -4 }, extra]}>{children}</ScrollView>
+);
+      `,
+      errors: [{
+        message: 'Inline style: { padding: 8, margin: -4 }',
+        suggestions: [{
+          desc: 'Move the inline style to styles.listScrollViewContentContainer',
+          output: `
+import React from 'react';
+import { ScrollView, StyleSheet } from 'react-native';
+
+const List = ({ children }) => (
+  <ScrollView contentContainerStyle={[styles.listScrollViewContentContainer, extra]}>{children}</ScrollView>
+);
+
+const styles = StyleSheet.create({
+  listScrollViewContentContainer: {
+    padding: 8,
+    margin: -4,
+  },
+});
+      `,
+        }],
+      }],
+    },
+    {
+      code: `
+const Title = ({ color }) => <Animated.Text style={[base, { fontSize: 20, color }]} />;
+      `,
+      errors: [{
+        message: 'Inline style: { fontSize: 20 }',
+        suggestions: [{
+          desc: 'Move the inline style to styles.titleText',
+          output: `
+import { StyleSheet } from 'react-native';
+const Title = ({ color }) => <Animated.Text style={[base, styles.titleText, { color }]} />;
+
+const styles = StyleSheet.create({
+  titleText: {
+    fontSize: 20,
+  },
+});
+      `,
+        }],
+      }],
+    },
+    {
+      code: `
+        const Hello = () => <View style={{ flex: 1, margin: 4 }} />;
+      `,
+      options: [{ allow: ['flex'] }],
+      errors: [{
+        message: 'Inline style: { margin: 4 }',
+      }],
+    },
+    {
+      code: `
+        const Hello = () => <View style={{ 'margin': 4, 'padding': 2 }} />;
+      `,
+      options: [{ allow: ['margin'] }],
+      errors: [{
+        message: 'Inline style: { padding: 2 }',
+      }],
+    },
+    {
+      code: `
+        const Hello = () => <View style={{ width: 100, opacity: 1 }} />;
+      `,
+      options: [{ allowIfContainsDynamic: true }],
+      errors: [{
+        message: 'Inline style: { width: 100, opacity: 1 }',
+      }],
+    },
+    {
+      code: `
+        const Hello = () => <View style={{ margin: 4, padding: 2 }} />;
+      `,
+      options: [{ maxLiteralProperties: 1 }],
+      errors: [{
+        message: 'Inline style: { margin: 4, padding: 2 }',
+      }],
+    },
+    {
+      code: `
+        const Hello = () => <View><Animated.View style={{ opacity: 1 }} /><View style={{ opacity: 1 }} /></View>;
+      `,
+      options: [{ ignoreComponents: ['Animated.View'] }],
+      errors: [{
+        message: 'Inline style: { opacity: 1 }',
+        column: 88,
+      }],
+    },
+    {
+      code: `
+        const style = { margin: 4 };
+        const Hello = () => <View style={style} />;
+      `,
+      errors: [{
+        message: 'Inline style: { margin: 4 }',
+        type: 'Identifier',
+      }],
+    },
+    {
+      code: `
+        const base = { padding: 2, margin: 2 };
+        const Hello = () => <View style={{ ...base, margin: 4 }} />;
+      `,
+      options: [{ resolve: 'variables' }],
+      errors: [{
+        message: 'Inline style: { padding: 2, margin: 4 }',
+        suggestions: [],
+      }],
+    },
+    {
+      code: `
+        const Hello = ({ width }) => {
+          const memoized = React.useMemo(() => ({ opacity: 1, width }), [width]);
+          return <View style={[useMemo(() => ({ margin: 4 }), []), memoized]} />;
+        };
+      `,
+      errors: [{
+        message: 'Inline style: { margin: 4 }',
+        type: 'CallExpression',
+      }, {
+        message: 'Inline style: { opacity: 1 }',
+        type: 'Identifier',
+      }],
+    },
+    {
+      code: `
+const { View } = require('react-native');
+
+function Header() {
+  return <RN.View style={{ padding: 4 }} />;
+}
+function Footer() {
+  return <View style={{ padding: 8 }} />;
+}
+      `,
+      errors: [{
+        message: 'Inline style: { padding: 4 }',
+        suggestions: [{
+          desc: 'Move the inline style to styles.headerView',
+          output: `
+const { View, StyleSheet } = require('react-native');
+
+function Header() {
+  return <RN.View style={styles.headerView} />;
+}
+function Footer() {
+  return <View style={{ padding: 8 }} />;
+}
+
+const styles = StyleSheet.create({
+  headerView: {
+    padding: 4,
+  },
+});
+      `,
+        }],
+      }, {
+        message: 'Inline style: { padding: 8 }',
+        suggestions: [{
+          desc: 'Move the inline style to styles.footerView',
+          output: `
+const { View, StyleSheet } = require('react-native');
+
+function Header() {
+  return <RN.View style={{ padding: 4 }} />;
+}
+function Footer() {
+  return <View style={styles.footerView} />;
+}
+
+const styles = StyleSheet.create({
+  footerView: {
+    padding: 8,
+  },
+});
+      `,
+        }],
+      }],
+    },
+    {
+      code: `
+        const RN = require('react-native');
+        const Hello = () => <RN.Text style={{ fontSize: 12 }} />;
+      `,
+      errors: [{
+        message: 'Inline style: { fontSize: 12 }',
+        suggestions: [],
+      }],
+    },
+    {
+      code: `
+        import * as RN from 'react-native';
+        const Hello = ({ styles }) => <Text style={{ fontSize: 12 }} />;
+        const Other = () => <Text style={{ ...base, fontSize: 12 }} />;
+      `,
+      errors: [{
+        message: 'Inline style: { fontSize: 12 }',
+        suggestions: [],
+      }, {
+        message: 'Inline style: { fontSize: 12 }',
+        suggestions: [],
+      }],
+    },
   ],
 };
 
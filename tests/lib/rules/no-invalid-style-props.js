@@ -0,0 +1,216 @@
+/**
+ * @fileoverview Detects unknown style properties and invalid style values
+ */
+
+'use strict';
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+
+const { RuleTester } = require('eslint');
+const rule = require('../../../lib/rules/no-invalid-style-props');
+
+require('@babel/eslint-parser');
+
+// ------------------------------------------------------------------------------
+// Tests
+// ------------------------------------------------------------------------------
+
+const ruleTester = new RuleTester();
+
+const tests = {
+  valid: [
+    {
+      code: `
+        const styles = StyleSheet.create({
+          container: {
+            flex: 1,
+            width: '50%',
+            height: 'auto',
+            margin: -4,
+            backgroundColor: '#fff',
+            borderStyle: 'dashed',
+            shadowOffset: { width: 0, height: 2 },
+            transform: [{ rotate: '45deg' }],
+            gap: 8,
+          },
+          title: {
+            color: 'red',
+            fontWeight: 700,
+            fontFamily: theme.font,
+            textAlign: isRTL ? 'right' : 'left',
+          },
+          image: {
+            resizeMode: 'contain',
+            tintColor: colors.primary,
+          },
+        });
+      `,
+    },
+    {
+      code: `
+        const Hello = ({ visible }) => (
+          <View style={[styles.container, visible && { opacity: 1 }, { ...extra, position: 'absolute' }]} />
+        );
+      `,
+    },
+    {
+      code: `
+        const styles = StyleSheet.create({
+          title: {
+            fontWeight: '700',
+            cursorColor: 'red',
+          },
+        });
+      `,
+      options: [{ allow: ['cursorColor'] }],
+      settings: {
+        'react-native/version': '0.70',
+      },
+    },
+    {
+      code: `
+        const styles = EStyleSheet.create({
+          $textColor: '#000',
+          '@media (min-width: 350)': {
+            title: { fontSize: 18 },
+          },
+        });
+      `,
+      settings: {
+        'react-native/style-sheet-object-names': ['EStyleSheet'],
+      },
+    },
+  ],
+  invalid: [
+    {
+      code: `
+        const styles = StyleSheet.create({
+          container: {
+            backgroundcolor: '#fff',
+            paddingHorizonal: 4,
+            'border-color': 'red',
+            fooBarBaz: 1,
+          },
+        });
+      `,
+      errors: [{
+        message: 'Unknown style property backgroundcolor, did you mean backgroundColor?',
+        suggestions: [{
+          desc: 'Replace backgroundcolor with backgroundColor',
+          output: `
+        const styles = StyleSheet.create({
+          container: {
+            backgroundColor: '#fff',
+            paddingHorizonal: 4,
+            'border-color': 'red',
+            fooBarBaz: 1,
+          },
+        });
+      `,
+        }],
+      }, {
+        message: 'Unknown style property paddingHorizonal, did you mean paddingHorizontal?',
+        suggestions: [{
+          desc: 'Replace paddingHorizonal with paddingHorizontal',
+          output: `
+        const styles = StyleSheet.create({
+          container: {
+            backgroundcolor: '#fff',
+            paddingHorizontal: 4,
+            'border-color': 'red',
+            fooBarBaz: 1,
+          },
+        });
+      `,
+        }],
+      }, {
+        message: 'Unknown style property border-color, did you mean borderColor?',
+      }, {
+        message: 'Unknown style property fooBarBaz',
+      }],
+    },
+    {
+      code: `
+        const styles = StyleSheet.create({
+          card: {
+            boxShadow: '0 1px 2px black',
+            gap: 8,
+          },
+          title: {
+            fontWeight: 700,
+          },
+        });
+      `,
+      settings: {
+        'react-native/version': '0.70.5',
+      },
+      errors: [{
+        message: 'Style property boxShadow requires React Native 0.76',
+      }, {
+        message: 'Style property gap requires React Native 0.71',
+      }, {
+        message: 'Invalid value 700 for style property fontWeight, expected \'normal\', \'bold\', \'100\', \'200\', \'300\', \'400\', \'500\', \'600\', \'700\', \'800\', \'900\'',
+        suggestions: [{
+          desc: 'Replace 700 with \'700\'',
+          output: `
+        const styles = StyleSheet.create({
+          card: {
+            boxShadow: '0 1px 2px black',
+            gap: 8,
+          },
+          title: {
+            fontWeight: '700',
+          },
+        });
+      `,
+        }],
+      }],
+    },
+    {
+      code: `
+        const Hello = ({ active }) => (
+          <View style={[{ width: 'wide', color: 'notacolor' }, active ? { flex: '1' } : null]} />
+        );
+      `,
+      errors: [{
+        message: 'Invalid value \'wide\' for style property width, expected a number, a percentage or \'auto\'',
+      }, {
+        message: 'Invalid value \'notacolor\' for style property color, expected a color',
+      }, {
+        message: 'Invalid value \'1\' for style property flex, expected a number',
+      }],
+    },
+    {
+      code: `
+        const Hello = () => <Text style={{ fontWeight: 'heavy', textAlign: 'middle' }} />;
+      `,
+      errors: [{
+        message: 'Invalid value \'heavy\' for style property fontWeight, expected \'normal\', \'bold\', \'100\', \'200\', \'300\', \'400\', \'500\', \'600\', \'700\', \'800\', \'900\' or a number',
+      }, {
+        message: 'Invalid value \'middle\' for style property textAlign, expected \'auto\', \'left\', \'right\', \'center\', \'justify\'',
+      }],
+    },
+  ],
+};
+
+const config = {
+  parser: require.resolve('@babel/eslint-parser'),
+  parserOptions: {
+    requireConfigFile: false,
+    babelOptions: {
+      parserOpts: {
+        plugins: [
+          ['estree', { classFeatures: true }],
+          'jsx',
+        ],
+      },
+    },
+  },
+};
+
+tests.valid.forEach((t) => Object.assign(t, config));
+tests.invalid.forEach((t) => Object.assign(t, config));
+
+ruleTester.run('no-invalid-style-props', rule, tests);
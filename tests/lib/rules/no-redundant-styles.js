@@ -0,0 +1,190 @@
+/**
+ * @fileoverview Detects style properties that are always overridden
+ */
+
+'use strict';
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+
+const { RuleTester } = require('eslint');
+const rule = require('../../../lib/rules/no-redundant-styles');
+
+require('@babel/eslint-parser');
+
+// ------------------------------------------------------------------------------
+// Tests
+// ------------------------------------------------------------------------------
+
+const ruleTester = new RuleTester();
+
+const tests = {
+  valid: [
+    {
+      code: `
+        const styles = StyleSheet.create({
+          container: {
+            margin: 4,
+            marginTop: 8,
+            marginHorizontal: 2,
+            borderWidth: 1,
+            borderTopWidth: 2,
+          },
+          title: {
+            paddingTop: 4,
+          },
+        });
+        const Hello = ({ active }) => (
+          <View style={[styles.title, active && { paddingTop: 8 }, { paddingBottom: 2 }]} />
+        );
+      `,
+    },
+    {
+      code: `
+        const Hello = () => <View style={[{ margin: 4 }, { marginTop: 8 }, other.style]} />;
+      `,
+    },
+    {
+      code: `
+        function Box() {
+          const styles = StyleSheet.create({ box: { marginTop: 4 } });
+          return <View style={[styles.box, { marginBottom: 8 }]} />;
+        }
+        function Label() {
+          const styles = StyleSheet.create({ box: { marginBottom: 4 } });
+          return <Text style={styles.box}>Label</Text>;
+        }
+      `,
+    },
+  ],
+  invalid: [
+    {
+      code: `
+        const styles = StyleSheet.create({
+          container: {
+            paddingTop: 4,
+            margin: 4,
+            marginHorizontal: 8,
+            marginVertical: 2,
+            paddingTop: 8,
+          },
+        });
+      `,
+      errors: [{
+        message: 'Redundant style property paddingTop, declared again below',
+      }, {
+        message: 'Redundant style property margin, overridden by marginVertical, marginHorizontal',
+      }],
+      output: `
+        const styles = StyleSheet.create({
+          container: {
+            margin: 4,
+            marginHorizontal: 8,
+            marginVertical: 2,
+            paddingTop: 8,
+          },
+        });
+      `,
+    },
+    {
+      code: `
+        const styles = StyleSheet.create({
+          box: {
+            // Overridden on each side below
+            marginHorizontal: 8,
+            marginLeft: 4,
+            marginRight: 4,
+          },
+        });
+      `,
+      errors: [{
+        message: 'Redundant style property marginHorizontal, overridden by marginLeft, marginRight',
+        suggestions: [{
+          desc: 'Remove marginHorizontal',
+          output: `
+        const styles = StyleSheet.create({
+          box: {
+            // Overridden on each side below
+            marginLeft: 4,
+            marginRight: 4,
+          },
+        });
+      `,
+        }],
+      }],
+      output: null,
+    },
+    {
+      code: `
+        const Hello = ({ color }) => (
+          <View style={[styles.a, { paddingTop: 2, color }, styles.b]} />
+        );
+        const styles = StyleSheet.create({
+          a: {
+            paddingTop: 4,
+            flex: 1,
+          },
+          b: {
+            paddingTop: 8,
+          },
+        });
+      `,
+      errors: [{
+        message: 'Redundant style property paddingTop of styles.a, overridden by styles.b',
+        suggestions: [{
+          desc: 'Remove paddingTop from styles.a',
+          output: `
+        const Hello = ({ color }) => (
+          <View style={[styles.a, { paddingTop: 2, color }, styles.b]} />
+        );
+        const styles = StyleSheet.create({
+          a: {
+            flex: 1,
+          },
+          b: {
+            paddingTop: 8,
+          },
+        });
+      `,
+        }],
+      }, {
+        message: 'Redundant style property paddingTop, overridden by styles.b',
+      }],
+      output: `
+        const Hello = ({ color }) => (
+          <View style={[styles.a, { color }, styles.b]} />
+        );
+        const styles = StyleSheet.create({
+          a: {
+            paddingTop: 4,
+            flex: 1,
+          },
+          b: {
+            paddingTop: 8,
+          },
+        });
+      `,
+    },
+  ],
+};
+
+const config = {
+  parser: require.resolve('@babel/eslint-parser'),
+  parserOptions: {
+    requireConfigFile: false,
+    babelOptions: {
+      parserOpts: {
+        plugins: [
+          ['estree', { classFeatures: true }],
+          'jsx',
+        ],
+      },
+    },
+  },
+};
+
+tests.valid.forEach((t) => Object.assign(t, config));
+tests.invalid.forEach((t) => Object.assign(t, config));
+
+ruleTester.run('no-redundant-styles', rule, tests);
@@ -1,3 +1,4 @@
+/* eslint-env mocha */
 /**
  * @fileoverview No unused styles defined in javascript files
  * @author Tom Hastjarjanto
@@ -9,19 +10,34 @@
 // Requirements
 // ------------------------------------------------------------------------------
 
-const { RuleTester } = require('eslint');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const babelParser = require('@babel/eslint-parser');
+const { Linter, RuleTester } = require('eslint');
 const rule = require('../../../lib/rules/no-unused-styles');
 
-require('@babel/eslint-parser');
-
 // ------------------------------------------------------------------------------
 // Tests
 // ------------------------------------------------------------------------------
 
 const filename = require.resolve('../__mocks__/foo.js');
+const projectRoot = path.dirname(require.resolve('../__mocks__/project/styles.js'));
+const projectOptions = [{
+  enableProjectCheck: true,
+  projectRoot,
+  cacheLocation: path.join(os.tmpdir(), 'eslint-plugin-react-native-test', 'styles-usage.json'),
+}];
+const projectFile = (name) => ({
+  filename: path.join(projectRoot, name),
+  code: fs.readFileSync(path.join(projectRoot, name), { encoding: 'utf8' }),
+  options: projectOptions,
+});
 const ruleTester = new RuleTester();
 const tests = {
   valid: [
+    projectFile('shared.js'),
     {
       filename,
       options: [{ enableImportsCheck: true }],
@@ -246,9 +262,197 @@ const tests = {
       });
     `,
     },
+    {
+      code: `
+      const styles = StyleSheet.create({
+        container: {},
+        title: {},
+      });
+      const Hello = () => {
+        const { container, title } = styles;
+        return <View style={container}><Text style={title}>Hello</Text></View>;
+      };
+    `,
+    }, {
+      code: `
+      const styles = StyleSheet.create({
+        name: {},
+        'name-alt': {},
+      });
+      const Hello = () => <Text style={[styles['name'], styles['name-alt']]}>Hello</Text>;
+    `,
+    }, {
+      code: `
+      const styles = StyleSheet.create({
+        primary: {},
+        secondary: {},
+      });
+      const Button = ({ variant }) => <View style={styles[variant]} />;
+    `,
+    }, {
+      code: `
+      const styles = StyleSheet.create({
+        primary: {},
+        secondary: {},
+      });
+      const Button = ({ style }) => <View style={{ ...styles, style }} />;
+    `,
+    },
+    {
+      code: `
+      class Hello extends React.Component {
+        styles = StyleSheet.create({
+          name: {},
+        });
+        render() {
+          return <Text style={this.styles.name}>Hello</Text>;
+        }
+      }
+    `,
+    }, {
+      code: `
+      class Hello extends React.Component {
+        constructor(props) {
+          super(props);
+          this.styles = StyleSheet.create({
+            name: {},
+          });
+        }
+        render() {
+          return <Text style={this.styles.name}>Hello</Text>;
+        }
+      }
+    `,
+    }, {
+      code: `
+      const Hello = ({ theme }) => {
+        const styles = useMemo(() => StyleSheet.create({
+          name: { color: theme.color },
+        }), [theme]);
+        return <Text style={styles.name}>Hello</Text>;
+      };
+    `,
+    }, {
+      code: `
+      const makeStyles = (theme) => StyleSheet.create({
+        name: { color: theme.color },
+      });
+      const Hello = ({ theme }) => {
+        const styles = makeStyles(theme);
+        return <Text style={styles.name}>Hello</Text>;
+      };
+    `,
+    }, {
+      code: `
+      const Hello = ({ theme }) => {
+        const styles = React.useMemo(() => makeStyles(theme), [theme]);
+        return <Text style={styles.name}>Hello</Text>;
+      };
+      function makeStyles(theme) {
+        return StyleSheet.create({
+          name: { color: theme.color },
+        });
+      }
+    `,
+    }, {
+      code: `
+      export default StyleSheet.create({
+        name: {},
+      });
+      const Hello = () => <Text>Hello</Text>;
+    `,
+    }, {
+      code: `
+      module.exports = StyleSheet.create({
+        name: {},
+      });
+      const Hello = () => <Text>Hello</Text>;
+    `,
+    },
+    {
+      code: `
+      const useStyles = createStyleSheet((theme) => ({
+        name: { color: theme.primary },
+      }));
+      const Hello = () => {
+        const styles = useStyles();
+        return <Text style={styles.name}>Hello</Text>;
+      };
+    `,
+    }, {
+      code: `
+      const styles = StyleSheet.create({
+        header: {},
+        title: {},
+      });
+      const Hello = () => <Child styles={styles} />;
+    `,
+    }, {
+      code: `
+      const styles = StyleSheet.create({
+        header: {},
+        title: {},
+      });
+      const Hello = () => <View style={pick(styles, 'header')} />;
+    `,
+    }, {
+      code: `
+      const styles = StyleSheet.create({
+        header: {},
+        title: {},
+      });
+      const Hello = () => <View style={styles.header} />;
+      export { styles };
+    `,
+    },
   ],
 
   invalid: [
+    Object.assign(projectFile('styles.js'), {
+      output: null,
+      errors: [{
+        message: 'Unused style detected: styles.unused',
+        suggestions: [{
+          desc: 'Remove unused style styles.unused',
+          output: projectFile('styles.js').code.replace('  unused: {},\n', ''),
+        }],
+      }],
+    }),
+    Object.assign(projectFile('badge-styles.js'), {
+      output: null,
+      errors: [{
+        message: 'Unused style detected: default.unused',
+        suggestions: [{
+          desc: 'Remove unused style default.unused',
+          output: projectFile('badge-styles.js').code.replace('  unused: {},\n', ''),
+        }],
+      }],
+    }),
+    Object.assign(projectFile('theme.js'), {
+      output: null,
+      errors: [{
+        message: 'Unused style detected: colors.secondary',
+        suggestions: [{
+          desc: 'Remove unused style colors.secondary',
+          output: projectFile('theme.js').code.replace('  secondary: {},\n', ''),
+        }],
+      }],
+    }),
+    // The export of a StyleSheet checked against its importers isn't a usage
+    Object.assign(projectFile('theme.js'), {
+      code: projectFile('theme.js').code.replace('export const colors', 'const colors')
+        .concat('\nexport { colors };\n'),
+      output: null,
+      errors: [{
+        message: 'Unused style detected: colors.secondary',
+        suggestions: [{
+          desc: 'Remove unused style colors.secondary',
+          output: projectFile('theme.js').code.replace('export const colors', 'const colors')
+            .replace('  secondary: {},\n', '')
+            .concat('\nexport { colors };\n'),
+        }],
+      }],
+    }),
     {
       filename,
       options: [{ enableImportsCheck: true }],
@@ -291,6 +495,15 @@ const tests = {
           return <Text style={styles.b}>Hello {this.props.name}</Text>;
         }
       });
+    `,
+      output: `
+      const styles = StyleSheet.create({
+      })
+      const Hello = React.createClass({
+        render: function() {
+          return <Text style={styles.b}>Hello {this.props.name}</Text>;
+        }
+      });
     `,
       errors: [{
         message: 'Unused style detected: styles.text',
@@ -306,6 +519,16 @@ const tests = {
           return <View style={styles.foo}/>;
         }
       }
+    `,
+      output: `
+      const styles = StyleSheet.create({
+        foo: {},
+      })
+      class Foo extends React.Component {
+        render() {
+          return <View style={styles.foo}/>;
+        }
+      }
     `,
       errors: [{
         message: 'Unused style detected: styles.bar',
@@ -321,6 +544,16 @@ const tests = {
           return <View style={styles.foo}/>;
         }
       }
+    `,
+      output: `
+      const styles = StyleSheet.create({
+        foo: {},
+      })
+      class Foo extends React.PureComponent {
+        render() {
+          return <View style={styles.foo}/>;
+        }
+      }
     `,
       errors: [{
         message: 'Unused style detected: styles.bar',
@@ -336,6 +569,16 @@ const tests = {
           return <View style={styles.foo}/>;
         }
       }
+    `,
+      output: `
+      const styles = OtherStyleSheet.create({
+        foo: {},
+      })
+      class Foo extends React.PureComponent {
+        render() {
+          return <View style={styles.foo}/>;
+        }
+      }
     `,
       errors: [{
         message: 'Unused style detected: styles.bar',
@@ -346,10 +589,472 @@ const tests = {
         text: {}
       })
       const Hello = () => (<><Text style={styles.b}>Hello</Text></>);
+    `,
+      output: `
+      const styles = StyleSheet.create({
+      })
+      const Hello = () => (<><Text style={styles.b}>Hello</Text></>);
     `,
       errors: [{
         message: 'Unused style detected: styles.text',
       }],
+    }, {
+      code: `
+      const styles = StyleSheet.create({
+        container: {},
+        title: {},
+      });
+      const Hello = () => {
+        const { container } = styles;
+        return <View style={container} />;
+      };
+    `,
+      output: `
+      const styles = StyleSheet.create({
+        container: {},
+      });
+      const Hello = () => {
+        const { container } = styles;
+        return <View style={container} />;
+      };
+    `,
+      errors: [{
+        message: 'Unused style detected: styles.title',
+      }],
+    }, {
+      code: `
+      const styles = StyleSheet.create({
+        name: {},
+        unused: {},
+      });
+      const Hello = () => <Text style={styles['name']}>Hello</Text>;
+    `,
+      output: `
+      const styles = StyleSheet.create({
+        name: {},
+      });
+      const Hello = () => <Text style={styles['name']}>Hello</Text>;
+    `,
+      errors: [{
+        message: 'Unused style detected: styles.unused',
+      }],
+    }, {
+      code: `
+      const styles = StyleSheet.create({
+        'a.b': {},
+        c: {},
+      });
+      const Hello = () => <Text style={styles['a.b']}>Hello</Text>;
+    `,
+      output: `
+      const styles = StyleSheet.create({
+        'a.b': {},
+      });
+      const Hello = () => <Text style={styles['a.b']}>Hello</Text>;
+    `,
+      errors: [{
+        message: 'Unused style detected: styles.c',
+      }],
+    }, {
+      code: `
+      const styles = StyleSheet.create({ a: {}, b: {}, c: {} });
+      const Hello = () => <Text style={[styles.a, styles.b]}>Hello</Text>;
+    `,
+      output: `
+      const styles = StyleSheet.create({ a: {}, b: {} });
+      const Hello = () => <Text style={[styles.a, styles.b]}>Hello</Text>;
+    `,
+      errors: [{
+        message: 'Unused style detected: styles.c',
+      }],
+    }, {
+      code: `
+      const styles = StyleSheet.create({
+        a: {},
+        b: {}
+      });
+      const Hello = () => <Text style={styles.a}>Hello</Text>;
+    `,
+      output: `
+      const styles = StyleSheet.create({
+        a: {}
+      });
+      const Hello = () => <Text style={styles.a}>Hello</Text>;
+    `,
+      errors: [{
+        message: 'Unused style detected: styles.b',
+      }],
+    }, {
+      code: `
+      const styles = StyleSheet.create({
+        primary: {},
+        secondary: {},
+      });
+      const Button = ({ variant }) => {
+        const { primary, ...rest } = styles;
+        return <View style={[styles[variant], primary]} />;
+      };
+    `,
+      output: null,
+      options: [{ reportUnverifiable: true }],
+      errors: [{
+        message: 'Unused style detected: styles.secondary',
+        suggestions: [{
+          desc: 'Remove unused style styles.secondary',
+          output: `
+      const styles = StyleSheet.create({
+        primary: {},
+      });
+      const Button = ({ variant }) => {
+        const { primary, ...rest } = styles;
+        return <View style={[styles[variant], primary]} />;
+      };
+    `,
+        }],
+      }, {
+        message: 'Unverifiable style usage: { primary, ...rest }',
+      }, {
+        message: 'Unverifiable style usage: styles[variant]',
+      }],
+    }, {
+      code: `
+      const styles = StyleSheet.create({
+        primary: {},
+        secondary: {},
+      });
+      const Button = ({ variant }) => <View style={styles[variant]} />;
+    `,
+      output: null,
+      options: [{ reportUnverifiable: true }],
+      errors: [{
+        message: 'Unused style detected: styles.primary',
+        suggestions: [{
+          desc: 'Remove unused style styles.primary',
+          output: `
+      const styles = StyleSheet.create({
+        secondary: {},
+      });
+      const Button = ({ variant }) => <View style={styles[variant]} />;
+    `,
+        }],
+      }, {
+        message: 'Unused style detected: styles.secondary',
+        suggestions: [{
+          desc: 'Remove unused style styles.secondary',
+          output: `
+      const styles = StyleSheet.create({
+        primary: {},
+      });
+      const Button = ({ variant }) => <View style={styles[variant]} />;
+    `,
+        }],
+      }, {
+        message: 'Unverifiable style usage: styles[variant]',
+      }],
+    }, {
+      code: `
+      const styles = StyleSheet.create({
+        header: {},
+        title: {},
+      });
+      const Hello = () => <Child styles={styles} style={pick(styles, 'header')} />;
+    `,
+      output: null,
+      options: [{ reportUnverifiable: true }],
+      errors: [{
+        message: 'Unused style detected: styles.header',
+        suggestions: [{
+          desc: 'Remove unused style styles.header',
+          output: `
+      const styles = StyleSheet.create({
+        title: {},
+      });
+      const Hello = () => <Child styles={styles} style={pick(styles, 'header')} />;
+    `,
+        }],
+      }, {
+        message: 'Unused style detected: styles.title',
+        suggestions: [{
+          desc: 'Remove unused style styles.title',
+          output: `
+      const styles = StyleSheet.create({
+        header: {},
+      });
+      const Hello = () => <Child styles={styles} style={pick(styles, 'header')} />;
+    `,
+        }],
+      }, {
+        message: 'Unverifiable style usage: styles',
+      }, {
+        message: 'Unverifiable style usage: styles',
+      }],
+    }, {
+      code: `
+      export const styles = StyleSheet.create({
+        a: {},
+        b: {},
+      });
+      const Hello = () => <Text style={styles.a}>Hello</Text>;
+    `,
+      output: null,
+      errors: [{
+        message: 'Unused style detected: styles.b',
+        suggestions: [{
+          desc: 'Remove unused style styles.b',
+          output: `
+      export const styles = StyleSheet.create({
+        a: {},
+      });
+      const Hello = () => <Text style={styles.a}>Hello</Text>;
+    `,
+        }],
+      }],
+    }, {
+      code: `
+      const styles = StyleSheet.create({
+        a: {},
+        b: {},
+      });
+      const Hello = () => <Text>Hello</Text>;
+    `,
+      output: `
+      const Hello = () => <Text>Hello</Text>;
+    `,
+      errors: [{
+        message: 'Unused style detected: styles.a',
+      }, {
+        message: 'Unused style detected: styles.b',
+      }],
+    }, {
+      code: `
+      const styles = StyleSheet.create({
+        used: {},
+        // legacy header
+        unused: {},
+      });
+      const Hello = () => <Text style={styles.used}>Hello</Text>;
+    `,
+      output: null,
+      errors: [{
+        message: 'Unused style detected: styles.unused',
+        suggestions: [{
+          desc: 'Remove unused style styles.unused',
+          output: `
+      const styles = StyleSheet.create({
+        used: {},
+        // legacy header
+      });
+      const Hello = () => <Text style={styles.used}>Hello</Text>;
+    `,
+        }],
+      }],
+    }, {
+      code: `
+      class Hello extends React.Component {
+        styles = StyleSheet.create({
+          name: {},
+          unused: {},
+        });
+        render() {
+          return <Text style={this.styles.name}>Hello</Text>;
+        }
+      }
+    `,
+      output: null,
+      errors: [{
+        message: 'Unused style detected: this.styles.unused',
+        suggestions: [{
+          desc: 'Remove unused style this.styles.unused',
+          output: `
+      class Hello extends React.Component {
+        styles = StyleSheet.create({
+          name: {},
+        });
+        render() {
+          return <Text style={this.styles.name}>Hello</Text>;
+        }
+      }
+    `,
+        }],
+      }],
+    }, {
+      code: `
+      const First = () => {
+        const styles = useMemo(() => StyleSheet.create({
+          used: {},
+          unusedA: {},
+        }), []);
+        return <Text style={styles.used}>Hello</Text>;
+      };
+      const Second = () => {
+        const styles = useMemo(() => StyleSheet.create({
+          used: {},
+          unusedB: {},
+        }), []);
+        return <Text style={styles.used}>Hello</Text>;
+      };
+    `,
+      output: `
+      const First = () => {
+        const styles = useMemo(() => StyleSheet.create({
+          used: {},
+        }), []);
+        return <Text style={styles.used}>Hello</Text>;
+      };
+      const Second = () => {
+        const styles = useMemo(() => StyleSheet.create({
+          used: {},
+        }), []);
+        return <Text style={styles.used}>Hello</Text>;
+      };
+    `,
+      errors: [{
+        message: 'Unused style detected: styles.unusedA',
+      }, {
+        message: 'Unused style detected: styles.unusedB',
+      }],
+    }, {
+      code: `
+      class First extends React.Component {
+        styles = StyleSheet.create({
+          used: {},
+          unusedA: {},
+        });
+        render() {
+          return <Text style={this.styles.used}>Hello</Text>;
+        }
+      }
+      class Second extends React.Component {
+        styles = StyleSheet.create({
+          unusedA: {},
+          unusedB: {},
+        });
+        render() {
+          return <Text style={this.styles.unusedB}>Hello</Text>;
+        }
+      }
+    `,
+      output: null,
+      errors: [{
+        message: 'Unused style detected: this.styles.unusedA',
+        suggestions: [{
+          desc: 'Remove unused style this.styles.unusedA',
+          output: `
+      class First extends React.Component {
+        styles = StyleSheet.create({
+          used: {},
+        });
+        render() {
+          return <Text style={this.styles.used}>Hello</Text>;
+        }
+      }
+      class Second extends React.Component {
+        styles = StyleSheet.create({
+          unusedA: {},
+          unusedB: {},
+        });
+        render() {
+          return <Text style={this.styles.unusedB}>Hello</Text>;
+        }
+      }
+    `,
+        }],
+      }, {
+        message: 'Unused style detected: this.styles.unusedA',
+        suggestions: [{
+          desc: 'Remove unused style this.styles.unusedA',
+          output: `
+      class First extends React.Component {
+        styles = StyleSheet.create({
+          used: {},
+          unusedA: {},
+        });
+        render() {
+          return <Text style={this.styles.used}>Hello</Text>;
+        }
+      }
+      class Second extends React.Component {
+        styles = StyleSheet.create({
+          unusedB: {},
+        });
+        render() {
+          return <Text style={this.styles.unusedB}>Hello</Text>;
+        }
+      }
+    `,
+        }],
+      }],
+    }, {
+      code: `
+      const makeStyles = (theme) => StyleSheet.create({
+        name: { color: theme.color },
+        unused: {},
+      });
+      const Hello = ({ theme }) => {
+        const styles = useMemo(() => makeStyles(theme), [theme]);
+        return <Text style={styles.name}>Hello</Text>;
+      };
+    `,
+      output: `
+      const makeStyles = (theme) => StyleSheet.create({
+        name: { color: theme.color },
+      });
+      const Hello = ({ theme }) => {
+        const styles = useMemo(() => makeStyles(theme), [theme]);
+        return <Text style={styles.name}>Hello</Text>;
+      };
+    `,
+      errors: [{
+        message: 'Unused style detected: makeStyles.unused',
+      }],
+    }, {
+      code: `
+      const Hello = () => {
+        const styles = useMemo(() => StyleSheet.create({
+          name: {},
+          unused: {},
+        }), []);
+        return <Text style={styles.name}>Hello</Text>;
+      };
+    `,
+      output: `
+      const Hello = () => {
+        const styles = useMemo(() => StyleSheet.create({
+          name: {},
+        }), []);
+        return <Text style={styles.name}>Hello</Text>;
+      };
+    `,
+      errors: [{
+        message: 'Unused style detected: styles.unused',
+      }],
+    }, {
+      code: `
+      const useStyles = createStyleSheet((theme) => {
+        return {
+          name: { color: theme.primary },
+          unused: {},
+        };
+      });
+      const Hello = () => {
+        const styles = useStyles();
+        return <Text style={styles.name}>Hello</Text>;
+      };
+    `,
+      output: `
+      const useStyles = createStyleSheet((theme) => {
+        return {
+          name: { color: theme.primary },
+        };
+      });
+      const Hello = () => {
+        const styles = useStyles();
+        return <Text style={styles.name}>Hello</Text>;
+      };
+    `,
+      errors: [{
+        message: 'Unused style detected: useStyles.unused',
+      }],
     }],
 };
 
@@ -365,6 +1070,7 @@ const config = {
 	},
 	settings: {
 		'react-native/style-sheet-object-names': ['StyleSheet', 'OtherStyleSheet'],
+		'react-native/style-factories': ['createStyleSheet'],
 	},
 };
 
@@ -372,3 +1078,36 @@ tests.valid.forEach((t) => Object.assign(t, config));
 tests.invalid.forEach((t) => Object.assign(t, config));
 
 ruleTester.run('no-unused-styles', rule, tests);
+
+describe('no-unused-styles project index', () => {
+  it('walks the project once for all the linted files', () => {
+    const parserPath = require.resolve('@babel/eslint-parser');
+    const linter = new Linter();
+    const files = fs.readdirSync(projectRoot);
+    const { readdirSync } = fs;
+    let readdirCount = 0;
+
+    linter.defineParser(parserPath, babelParser);
+    linter.defineRule('react-native/no-unused-styles', rule);
+    fs.readdirSync = (...args) => {
+      readdirCount += 1;
+      return readdirSync(...args);
+    };
+
+    try {
+      files.forEach((name) => {
+        linter.verify(fs.readFileSync(path.join(projectRoot, name), { encoding: 'utf8' }), {
+          parser: parserPath,
+          parserOptions: config.parserOptions,
+          rules: {
+            'react-native/no-unused-styles': ['error', { enableProjectCheck: true, projectRoot, cacheLocation: '' }],
+          },
+        }, path.join(projectRoot, name));
+      });
+    } finally {
+      fs.readdirSync = readdirSync;
+    }
+
+    assert.strictEqual(readdirCount, 1);
+  });
+});
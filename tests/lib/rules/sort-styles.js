@@ -21,6 +21,14 @@ require('@babel/eslint-parser');
 const ruleTester = new RuleTester();
 const tests = {
   valid: [
+    {
+      code: `
+        const useStyles = makeStyles({
+          b: {},
+          a: {},
+        })
+      `,
+    },
     {
       code: `
         const styles = StyleSheet.create({
@@ -188,6 +196,116 @@ const tests = {
       `,
       options: ['desc'],
     },
+    {
+      code: `
+        const styles = StyleSheet.create({
+          container: {
+            position: 'absolute',
+            top: 0,
+            flex: 1,
+            alignItems: 'center',
+            width: 100,
+            height: 100,
+            margin: 4,
+            marginTop: 8,
+            padding: 2,
+            borderWidth: 1,
+            backgroundColor: 'white',
+            color: 'black',
+            fontSize: 12,
+            customProperty: 1,
+          },
+        });
+      `,
+      options: ['groups'],
+    },
+    {
+      code: `
+        const styles = StyleSheet.create({
+          b: {
+            marginBottom: 2,
+            marginTop: 1,
+            width: 1,
+          },
+          a: {},
+        });
+      `,
+      options: ['groups', { ignoreClassNames: true, groups: [['margin*'], ['width']] }],
+    },
+    {
+      code: `
+        const styles = StyleSheet.create({
+          ...base,
+          a: {
+            ...shared,
+            b: 1,
+            c: 2,
+          },
+          b: {
+            b: 1,
+            ...overrides,
+          },
+        });
+      `,
+      options: ['asc', { spreads: 'warn' }],
+    },
+    {
+      code: `
+        const getStyle = (active) => ({ width: 1, color: active ? 'red' : 'blue' });
+        const Hello = () => (
+          <View style={[{ width: 1, flex: 1 }, getStyle(true)]} />
+        );
+        const styles = StyleSheet.create({
+          a: {
+            shadowOffset: { width: 0, height: 2 },
+          },
+        });
+      `,
+    },
+    {
+      code: `
+        const Hello = ({ active }) => (
+          <View style={[{ flex: 1, width: 1 }, active && { color: 'red', opacity: 1 }]} />
+        );
+        const styles = StyleSheet.create({
+          a: {
+            shadowOffset: { height: 2, width: 0 },
+            transform: [{ rotate: '90deg' }, { scaleX: 1, scaleY: 2 }],
+          },
+        });
+      `,
+      options: ['asc', { checkInlineStyles: true, checkNestedStyles: true, checkStyleFunctions: true }],
+    },
+    {
+      code: `
+        const styles = StyleSheet.create({
+          body: {
+            item2: 1,
+            Item10: 2,
+          },
+          Header: {},
+          item2: {},
+          item10: {},
+        });
+      `,
+      options: ['asc', { natural: true, caseSensitive: false }],
+    },
+    {
+      code: `
+        const styles = StyleSheet.create({
+          b: {
+            y: 1,
+            x: 2,
+          },
+          a: {
+            x: 1,
+            z: 2,
+            y: 3,
+          },
+        });
+      `,
+      options: ['asc', { minKeys: 3, ignoreStyleProperties: true }],
+    },
   ],
   invalid: [
     {
@@ -426,19 +544,19 @@ const tests = {
       output: `
         const styles = StyleSheet.create({
           a: {
-            d: 4,
-            // comments 1
-            c: 3,
             a: 1,
             b: 2,
+            // comments 1
+            c: 3,
+            d: 4,
           },
-          d: {},
-          c: {},
           // comments 2
           b: {
             a: 1,
             b: 2,
           },
+          c: {},
+          d: {},
           // comments 3
         })
       `,
@@ -453,6 +571,30 @@ const tests = {
         },
       ],
     },
+    {
+      code: `
+        const styles = StyleSheet.create({
+          a: {
+            d: 1 /* about d */,
+            c: 2,
+          },
+        })
+      `,
+      output: `
+        const styles = StyleSheet.create({
+          a: {
+            c: 2,
+            d: 1 /* about d */,
+          },
+        })
+      `,
+      errors: [
+        {
+          message:
+            "Expected style properties to be in ascending order. 'c' should be before 'd'.",
+        },
+      ],
+    },
     {
       code: `
       const styles = StyleSheet.create({
@@ -669,6 +811,336 @@ const tests = {
         message: 'Expected style properties to be in ascending order. \'x\' should be before \'y\'.',
       }],
     },
+    {
+      code: `
+        const useStyles = makeStyles((theme) => ({
+          b: {},
+          a: {},
+        }))
+      `,
+      output: `
+        const useStyles = makeStyles((theme) => ({
+          a: {},
+          b: {},
+        }))
+      `,
+      errors: [{
+        message: 'Expected class names to be in ascending order. \'a\' should be before \'b\'.',
+      }],
+    },
+    {
+      code: `
+        const styles = tamagui.createStyles(theme, {
+          a: {
+            y: 2,
+            x: 1,
+          },
+        })
+      `,
+      output: `
+        const styles = tamagui.createStyles(theme, {
+          a: {
+            x: 1,
+            y: 2,
+          },
+        })
+      `,
+      errors: [{
+        message: 'Expected style properties to be in ascending order. \'x\' should be before \'y\'.',
+      }],
+    },
+    {
+      code: `
+        const styles = StyleSheet.create({
+          b: {
+            fontSize: 12,
+            margin: 4,
+            width: 100,
+            display: 'flex',
+          },
+        });
+      `,
+      output: `
+        const styles = StyleSheet.create({
+          b: {
+            display: 'flex',
+            width: 100,
+            margin: 4,
+            fontSize: 12,
+          },
+        });
+      `,
+      options: ['groups'],
+      errors: [
+        {
+          message: "Expected style properties to be in group order. 'margin' should be before 'fontSize'.",
+        },
+      ],
+    },
+    {
+      code: `
+        const styles = StyleSheet.create({
+          a: {
+            paddingTop: 2,
+            padding: 4,
+            height: 10,
+            marginLeft: 1,
+          },
+        });
+      `,
+      output: `
+        const styles = StyleSheet.create({
+          a: {
+            height: 10,
+            marginLeft: 1,
+            paddingTop: 2,
+            padding: 4,
+          },
+        });
+      `,
+      options: ['groups', { groups: [['width', 'height'], ['margin*'], ['padding*']] }],
+      errors: [
+        {
+          message: "Expected style properties to be in group order. 'height' should be before 'padding'.",
+        },
+      ],
+    },
+    {
+      code: `
+        const styles = StyleSheet.create({
+          b: {},
+          a: {},
+        });
+      `,
+      output: `
+        const styles = StyleSheet.create({
+          a: {},
+          b: {},
+        });
+      `,
+      options: ['groups'],
+      errors: [
+        {
+          message: "Expected class names to be in ascending order. 'a' should be before 'b'.",
+        },
+      ],
+    },
+    {
+      code: `
+        const styles = StyleSheet.create({
+          a: {
+            // The size of the shadow
+            shadowOffset: {
+              width: 0,
+              height: 2,
+            }, // iOS only
+            /* Above the content */
+            elevation: 2,
+            color: 'red' // Brand color
+          },
+        });
+      `,
+      output: `
+        const styles = StyleSheet.create({
+          a: {
+            color: 'red', // Brand color
+            /* Above the content */
+            elevation: 2,
+            // The size of the shadow
+            shadowOffset: {
+              width: 0,
+              height: 2,
+            } // iOS only
+          },
+        });
+      `,
+      errors: [
+        {
+          message: "Expected style properties to be in ascending order. 'elevation' should be before 'shadowOffset'.",
+        },
+      ],
+    },
+    {
+      code: `
+        const styles = StyleSheet.create({
+          a: {
+            c: 1,
+            ...shared,
+            b: 1,
+            a: 2,
+          },
+        });
+      `,
+      output: `
+        const styles = StyleSheet.create({
+          a: {
+            c: 1,
+            ...shared,
+            a: 2,
+            b: 1,
+          },
+        });
+      `,
+      options: ['asc', { spreads: 'warn' }],
+      errors: [
+        {
+          message: 'Unexpected spread between style properties, the style properties around it are sorted separately.',
+        },
+        {
+          message: "Expected style properties to be in ascending order. 'a' should be before 'b'.",
+        },
+      ],
+    },
+    {
+      code: `
+        const Hello = ({ active }) => (
+          <View style={[{ width: 1, flex: 1 }, active && { opacity: 1, color: 'red' }]} />
+        );
+      `,
+      output: `
+        const Hello = ({ active }) => (
+          <View style={[{ flex: 1, width: 1 }, active && { color: 'red', opacity: 1 }]} />
+        );
+      `,
+      options: ['asc', { checkInlineStyles: true }],
+      errors: [
+        {
+          message: "Expected style properties to be in ascending order. 'flex' should be before 'width'.",
+        },
+        {
+          message: "Expected style properties to be in ascending order. 'color' should be before 'opacity'.",
+        },
+      ],
+    },
+    {
+      code: `
+        const styles = StyleSheet.create({
+          a: {
+            shadowOffset: { width: 0, height: 2 },
+            transform: [{ scaleY: 2, scaleX: 1 }],
+          },
+        });
+      `,
+      output: `
+        const styles = StyleSheet.create({
+          a: {
+            shadowOffset: { height: 2, width: 0 },
+            transform: [{ scaleX: 1, scaleY: 2 }],
+          },
+        });
+      `,
+      options: ['asc', { checkNestedStyles: true }],
+      errors: [
+        {
+          message: "Expected style properties to be in ascending order. 'height' should be before 'width'.",
+        },
+        {
+          message: "Expected style properties to be in ascending order. 'scaleX' should be before 'scaleY'.",
+        },
+      ],
+    },
+    {
+      code: `
+        function getStyle(active) {
+          return {
+            width: 1,
+            color: active ? 'red' : 'blue',
+          };
+        }
+        const Hello = ({ active }) => <View style={getStyle(active)} />;
+        const Bye = ({ active }) => <Text style={[getStyle(active)]} />;
+      `,
+      output: `
+        function getStyle(active) {
+          return {
+            color: active ? 'red' : 'blue',
+            width: 1,
+          };
+        }
+        const Hello = ({ active }) => <View style={getStyle(active)} />;
+        const Bye = ({ active }) => <Text style={[getStyle(active)]} />;
+      `,
+      options: ['asc', { checkStyleFunctions: true }],
+      errors: [
+        {
+          message: "Expected style properties to be in ascending order. 'color' should be before 'width'.",
+        },
+      ],
+    },
+    {
+      code: `
+        const styles = StyleSheet.create({
+          item10: {},
+          item2: {},
+        });
+      `,
+      output: `
+        const styles = StyleSheet.create({
+          item2: {},
+          item10: {},
+        });
+      `,
+      options: ['asc', { natural: true }],
+      errors: [
+        {
+          message: "Expected class names to be in natural ascending order. 'item2' should be before 'item10'.",
+        },
+      ],
+    },
+    {
+      code: `
+        const styles = StyleSheet.create({
+          body: {},
+          Header: {},
+        });
+      `,
+      output: `
+        const styles = StyleSheet.create({
+          Header: {},
+          body: {},
+        });
+      `,
+      options: ['desc', { caseSensitive: false }],
+      errors: [
+        {
+          message: "Expected class names to be in insensitive descending order. 'Header' should be before 'body'.",
+        },
+      ],
+    },
+    {
+      code: `
+        const styles = StyleSheet.create({
+          a: {
+            y: 1,
+            x: 2,
+          },
+          b: {
+            z: 1,
+            x: 2,
+            y: 3,
+          },
+        });
+      `,
+      output: `
+        const styles = StyleSheet.create({
+          a: {
+            y: 1,
+            x: 2,
+          },
+          b: {
+            x: 2,
+            y: 3,
+            z: 1,
+          },
+        });
+      `,
+      options: ['asc', { minKeys: 3 }],
+      errors: [
+        {
+          message: "Expected style properties to be in ascending order. 'x' should be before 'z'.",
+        },
+      ],
+    },
   ],
 };
 
@@ -687,6 +1159,10 @@ const config = {
   },
   settings: {
     'react-native/style-sheet-object-names': ['StyleSheet', 'OtherStyleSheet'],
+    'react-native/style-factories': [
+      { callee: 'makeStyles', callback: true },
+      { callee: 'tamagui.createStyles', argument: 1 },
+    ],
   },
 };
 
@@ -25,11 +25,11 @@ const tests = {
     code: `
       const React = require('react-native');
       const {
-        ActivityIndicatiorIOS,
+        ActionSheetIOS,
       } = React
       const Hello = React.createClass({
         render: function() {
-          return <ActivityIndicatiorIOS />;
+          return <ActionSheetIOS />;
         }
       });
     `,
@@ -63,7 +63,7 @@ const tests = {
   }, {
     code: `
       import {
-        ActivityIndicatiorIOS,
+        ActionSheetIOS,
       } from 'react-native'
     `,
     filename: 'Hello.ios.js',
@@ -85,11 +85,11 @@ const tests = {
     code: `
       const React = require('react-native');
       const {
-        ActivityIndicatiorIOS,
+        ActionSheetIOS,
       } = React
       const Hello = React.createClass({
         render: function() {
-          return <ActivityIndicatiorIOS />;
+          return <ActionSheetIOS />;
         }
       });
     `,
@@ -113,6 +113,112 @@ const tests = {
       androidPathRegex: '\\.android(\\.test)?\\.js$',
     }],
     filename: 'Hello.android.test.js',
+  }, {
+    code: `
+      import { DynamicColorIOS, CustomViewIOS } from 'react-native'
+      import { ContextMenuView } from 'react-native-ios-context-menu'
+    `,
+    filename: 'Hello.js',
+    settings: {
+      'react-native/version': '0.62',
+    },
+  }, {
+    code: `
+      import { ContextMenuView } from 'react-native-ios-context-menu'
+    `,
+    options: [{
+      components: {
+        'react-native-ios-context-menu': { ContextMenuView: 'ios' },
+      },
+    }],
+    filename: 'Hello.ios.js',
+  }, {
+    code: `
+      import { ActionSheetIOS, ToastAndroid, DrawerLayoutAndroid, Platform } from 'react-native'
+      const show = () => {
+        if (Platform.OS === 'ios') {
+          ActionSheetIOS.showActionSheetWithOptions({}, () => {});
+        } else {
+          ToastAndroid.show('Hello', ToastAndroid.SHORT);
+        }
+      };
+      const Hello = ({ children }) => (
+        Platform.OS === 'android' ? <DrawerLayoutAndroid>{children}</DrawerLayoutAndroid> : children
+      );
+    `,
+    filename: 'Hello.js',
+  }, {
+    code: `
+      import { ToastAndroid, InputAccessoryView, Platform } from 'react-native'
+      const Accessory = () => {
+        if (Platform.OS !== 'ios') {
+          return null;
+        }
+        return <InputAccessoryView />;
+      };
+      const notify = Platform.select({
+        android: () => ToastAndroid.show('Hello', ToastAndroid.SHORT),
+        default: () => {},
+      });
+    `,
+    filename: 'Hello.js',
+  }, {
+    code: `
+      import { NativeModules, Platform } from 'react-native'
+      import { AppTheme } from 'react-native-windows'
+      if (Platform.OS !== 'web') {
+        NativeModules.Foo.bar();
+      }
+      if (Platform.OS === 'windows') {
+        AppTheme.addListener();
+      }
+    `,
+    options: [{
+      platforms: {
+        web: { pathRegex: '\\.web\\.[jt]sx?$' },
+        native: { components: { 'react-native': ['NativeModules'] } },
+        windows: {
+          pathRegex: '\\.windows\\.[jt]sx?$',
+          components: { 'react-native-windows': ['AppTheme'] },
+        },
+      },
+    }],
+    filename: 'Hello.js',
+  }, {
+    code: `
+      import { NativeModules } from 'react-native'
+      import { AppTheme } from 'react-native-windows'
+      NativeModules.Foo.bar();
+      AppTheme.addListener();
+    `,
+    options: [{
+      platforms: {
+        web: { pathRegex: '\\.web\\.[jt]sx?$' },
+        native: { components: { 'react-native': ['NativeModules'] } },
+        windows: {
+          pathRegex: '\\.windows\\.[jt]sx?$',
+          components: { 'react-native-windows': ['AppTheme'] },
+        },
+      },
+    }],
+    filename: 'Hello.windows.tsx',
+  }, {
+    code: `
+      import * as RN from 'react-native'
+      const { ToastAndroid } = require('react-native')
+      const notify = RN.Platform.select({ android: () => ToastAndroid.show('Hello', 0) });
+      if (RN.Platform.OS === 'ios') {
+        RN.ActionSheetIOS.showActionSheetWithOptions({}, () => {});
+      }
+      const Hello = () => RN.Platform.OS === 'android' && <RN.DrawerLayoutAndroid />;
+    `,
+    filename: 'Hello.js',
+  }, {
+    code: `
+      const { ToastAndroid } = require('react-native')
+      require('react-native').ToastAndroid.show('Hello', ToastAndroid.SHORT);
+    `,
+    filename: 'Hello.android.js',
   }],
 
   invalid: [{
@@ -135,11 +241,11 @@ const tests = {
     code: `
       const React = require('react-native');
       const {
-        ActivityIndicatiorIOS,
+        ActionSheetIOS,
       } = React
       const Hello = React.createClass({
         render: function() {
-          return <ActivityIndicatiorIOS />;
+          return <ActionSheetIOS />;
         }
       });
     `,
@@ -151,12 +257,12 @@ const tests = {
     code: `
       const React = require('react-native');
       const {
-        ActivityIndicatiorIOS,
+        ActionSheetIOS,
         ProgressBarAndroid,
       } = React
       const Hello = React.createClass({
         render: function() {
-          return <ActivityIndicatiorIOS />;
+          return <ActionSheetIOS />;
         }
       });
     `,
@@ -179,7 +285,7 @@ const tests = {
   }, {
     code: `
       import {
-        ActivityIndicatiorIOS,
+        ActionSheetIOS,
       } from 'react-native'
     `,
     filename: 'Hello.js',
@@ -189,7 +295,7 @@ const tests = {
   }, {
     code: `
       import {
-        ActivityIndicatiorIOS,
+        ActionSheetIOS,
         ProgressBarAndroid,
       } from 'react-native'
     `,
@@ -199,6 +305,270 @@ const tests = {
     }, {
       message: 'IOS and Android components can\'t be mixed',
     }],
+  }, {
+    code: `
+      import { InputAccessoryView, DynamicColorIOS, TouchableNativeFeedback } from 'react-native'
+    `,
+    filename: 'Hello.ios.js',
+    errors: [{
+      message: 'IOS and Android components can\'t be mixed',
+    }],
+  }, {
+    code: `
+      import { ContextMenuView } from 'react-native-ios-context-menu'
+      import { ToastAndroid } from 'react-native'
+    `,
+    options: [{
+      components: {
+        'react-native-ios-context-menu': { ContextMenuView: 'ios' },
+      },
+    }],
+    filename: 'Hello.js',
+    errors: [{
+      message: 'IOS and Android components can\'t be mixed',
+    }, {
+      message: 'IOS and Android components can\'t be mixed',
+    }],
+  }, {
+    code: `
+      import { ToastAndroid, ActionSheetIOS, Platform } from 'react-native'
+      if (Platform.OS === 'ios') {
+        ToastAndroid.show('Hello', ToastAndroid.SHORT);
+        ActionSheetIOS.showActionSheetWithOptions({}, () => {});
+      }
+    `,
+    filename: 'Hello.js',
+    errors: [{
+      message: 'ToastAndroid is used in code that only runs on ios',
+      line: 4,
+    }, {
+      message: 'ToastAndroid is used in code that only runs on ios',
+      line: 4,
+    }],
+  }, {
+    code: `
+      import { ToastAndroid, Platform } from 'react-native'
+      const Hello = () => <View />;
+      ToastAndroid.show('Hello', ToastAndroid.SHORT);
+      if (Platform.OS === 'android') {
+        ToastAndroid.show('Hello', ToastAndroid.SHORT);
+      }
+    `,
+    filename: 'Hello.js',
+    errors: [{
+      message: 'Android components should be placed in android files',
+      line: 2,
+    }],
+  }, {
+    code: `
+      import { DrawerLayoutAndroid, Platform } from 'react-native'
+      const Hello = () => Platform.select({
+        ios: <DrawerLayoutAndroid />,
+        android: null,
+      });
+    `,
+    filename: 'Hello.js',
+    errors: [{
+      message: 'DrawerLayoutAndroid is used in code that only runs on ios',
+      line: 4,
+    }],
+  }, {
+    code: `
+      import { NativeModules, ActionSheetIOS } from 'react-native'
+      NativeModules.Foo.bar();
+    `,
+    options: [{
+      platforms: {
+        web: { pathRegex: '\\.web\\.[jt]sx?$' },
+        native: { components: { 'react-native': ['NativeModules'] } },
+        windows: {
+          pathRegex: '\\.windows\\.[jt]sx?$',
+          components: { 'react-native-windows': ['AppTheme'] },
+        },
+      },
+    }],
+    filename: 'Hello.web.js',
+    errors: [{
+      message: 'Native components should be placed in native files',
+    }, {
+      message: 'IOS components should be placed in ios files',
+    }],
+  }, {
+    code: `
+      import { ActionSheetIOS, ToastAndroid } from 'react-native'
+    `,
+    filename: 'Hello.native.js',
+    errors: [{
+      message: 'IOS and Android components can\'t be mixed',
+    }, {
+      message: 'IOS and Android components can\'t be mixed',
+    }],
+  }, {
+    code: `
+      import { AppTheme } from 'react-native-windows'
+      import { Platform } from 'react-native'
+      if (Platform.OS === 'web') {
+        AppTheme.addListener();
+      }
+    `,
+    options: [{
+      platforms: {
+        web: { pathRegex: '\\.web\\.[jt]sx?$' },
+        native: { components: { 'react-native': ['NativeModules'] } },
+        windows: {
+          pathRegex: '\\.windows\\.[jt]sx?$',
+          components: { 'react-native-windows': ['AppTheme'] },
+        },
+      },
+    }],
+    filename: 'Hello.js',
+    errors: [{
+      message: 'AppTheme is used in code that only runs on web',
+    }],
+  }, {
+    code: `
+      import * as RN from 'react-native'
+      RN.ToastAndroid.show('Hello', RN.ToastAndroid.SHORT);
+      const Hello = () => <RN.DrawerLayoutAndroid />;
+    `,
+    filename: 'Hello.js',
+    errors: [{
+      message: 'Android components should be placed in android files',
+      line: 3,
+      column: 7,
+    }, {
+      message: 'Android components should be placed in android files',
+      line: 3,
+      column: 37,
+    }, {
+      message: 'Android components should be placed in android files',
+      line: 4,
+      column: 28,
+    }],
+  }, {
+    code: `
+      const RN = require('react-native')
+      const { ToastAndroid } = require('react-native')
+      const picker = require('react-native').DatePickerIOS
+      RN.ActionSheetIOS.showActionSheetWithOptions({}, () => {});
+    `,
+    filename: 'Hello.js',
+    errors: [{
+      message: 'IOS and Android components can\'t be mixed',
+      line: 3,
+    }, {
+      message: 'IOS and Android components can\'t be mixed',
+      line: 4,
+    }, {
+      message: 'IOS and Android components can\'t be mixed',
+      line: 5,
+    }],
+  }, {
+    code: `
+      import * as RN from 'react-native'
+      if (RN.Platform.OS === 'ios') {
+        RN.ToastAndroid.show('Hello', RN.ToastAndroid.SHORT);
+      }
+    `,
+    filename: 'Hello.js',
+    errors: [{
+      message: 'ToastAndroid is used in code that only runs on ios',
+      column: 9,
+    }, {
+      message: 'ToastAndroid is used in code that only runs on ios',
+      column: 39,
+    }],
+  }, {
+    code: `
+      import { View, InputAccessoryView } from 'react-native'
+      const Hello = () => (
+        <View>
+          <InputAccessoryView nativeID="a" />
+        </View>
+      );
+    `,
+    filename: 'Hello.js',
+    errors: [{
+      message: 'IOS components should be placed in ios files',
+      suggestions: [{
+        desc: 'Render InputAccessoryView only when Platform.OS is \'ios\'',
+        output: `
+      import { View, InputAccessoryView, Platform } from 'react-native'
+      const Hello = () => (
+        <View>
+          {Platform.OS === 'ios' && <InputAccessoryView nativeID="a" />}
+        </View>
+      );
+    `,
+      }, {
+        desc: 'Render InputAccessoryView with Platform.select()',
+        output: `
+      import { View, InputAccessoryView, Platform } from 'react-native'
+      const Hello = () => (
+        <View>
+          {Platform.select({ ios: <InputAccessoryView nativeID="a" />, default: null })}
+        </View>
+      );
+    `,
+      }],
+    }],
+  }, {
+    code: `
+      import { DrawerLayoutAndroid, Platform } from 'react-native'
+      const Hello = ({ children }) => <DrawerLayoutAndroid>{children}</DrawerLayoutAndroid>;
+      const drawer = foo || <DrawerLayoutAndroid />;
+    `,
+    filename: 'Hello.js',
+    errors: [{
+      message: 'Android components should be placed in android files',
+      suggestions: [{
+        desc: 'Render DrawerLayoutAndroid only when Platform.OS is \'android\'',
+        output: `
+      import { DrawerLayoutAndroid, Platform } from 'react-native'
+      const Hello = ({ children }) => Platform.OS === 'android' && <DrawerLayoutAndroid>{children}</DrawerLayoutAndroid>;
+      const drawer = foo || (Platform.OS === 'android' && <DrawerLayoutAndroid />);
+    `,
+      }, {
+        desc: 'Render DrawerLayoutAndroid with Platform.select()',
+        output: `
+      import { DrawerLayoutAndroid, Platform } from 'react-native'
+      const Hello = ({ children }) => Platform.select({ android: <DrawerLayoutAndroid>{children}</DrawerLayoutAndroid>, default: null });
+      const drawer = foo || Platform.select({ android: <DrawerLayoutAndroid />, default: null });
+    `,
+      }],
+    }],
+  }, {
+    code: `
+      import * as RN from 'react-native'
+      const Hello = () => <RN.View><RN.DrawerLayoutAndroid /></RN.View>;
+    `,
+    filename: 'Hello.js',
+    errors: [{
+      message: 'Android components should be placed in android files',
+      suggestions: [{
+        desc: 'Render DrawerLayoutAndroid only when Platform.OS is \'android\'',
+        output: `
+      import * as RN from 'react-native'
+      const Hello = () => <RN.View>{RN.Platform.OS === 'android' && <RN.DrawerLayoutAndroid />}</RN.View>;
+    `,
+      }, {
+        desc: 'Render DrawerLayoutAndroid with Platform.select()',
+        output: `
+      import * as RN from 'react-native'
+      const Hello = () => <RN.View>{RN.Platform.select({ android: <RN.DrawerLayoutAndroid />, default: null })}</RN.View>;
+    `,
+      }],
+    }],
+  }, {
+    code: `
+      import { ToastAndroid } from 'react-native'
+      ToastAndroid.show('Hello', ToastAndroid.SHORT);
+    `,
+    filename: 'Hello.js',
+    errors: [{
+      message: 'Android components should be placed in android files',
+      suggestions: [],
+    }],
   }],
 };
 